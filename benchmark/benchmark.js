@@ -20,6 +20,12 @@ ${Array(500).fill().map((_, i) => `User-agent: SpecialBot${i}\nDisallow: /specia
 
 Sitemap: https://example.com/sitemap.xml`.trim();
 
+// Parsers and matchers for lookup scenarios
+const largeParser = robotstxt(largeContent);
+const largeMatcher = largeParser.compile('Bot5000');
+const complexParser = robotstxt(complexContent);
+const complexMatcher = complexParser.compile('SpecialBot250');
+
 // Benchmark scenarios
 suite
     .add('Large robots.txt (10k rules)', () => {
@@ -34,6 +40,18 @@ suite
     .add('Empty robots.txt', () => {
         robotstxt('');
     })
+    .add('isAllowed lookup (10k rules)', () => {
+        largeParser.isAllowed('/path5000/page.html', 'Bot5000');
+    })
+    .add('Compiled matcher lookup (10k rules)', () => {
+        largeMatcher.isAllowed('/path5000/page.html');
+    })
+    .add('isAllowed lookup (500 UAs)', () => {
+        complexParser.isAllowed('/special/250/page.html', 'SpecialBot250');
+    })
+    .add('Compiled matcher lookup (500 UAs)', () => {
+        complexMatcher.isAllowed('/special/250/page.html');
+    })
     .on('cycle', (event) => {
         /* eslint-disable no-console */
         console.log(String(event.target));
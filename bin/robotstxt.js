@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+
+/** @type {string} */
+const USAGE = `Usage: robotstxt <command> <file> [options]
+
+Commands:
+  check <file> <url...>   Check if URLs are allowed, exits with 1 if any URL is disallowed
+  lint <file>             Print parser and lint reports, exits with 1 if there are errors or warnings
+  sitemaps <file>         List the sitemap URLs
+
+<file> is a path to a robots.txt file, or "-" to read standard input.
+
+Options:
+  --ua <agent>            User agent to check URLs for, can be repeated (default: *)
+  --url <url>             URL of the robots.txt file, to resolve relative sitemap URLs
+  --profile <name>        Search engine profile: rfc9309, google, bing or yandex
+  --config <file>         JSON linter configuration, e.g. {"rules": {"crawl-delay-ignored": "off"}}
+  --json                  Print JSON output
+  -h, --help              Print this help
+`;
+
+/** @type {Object.<string, number>} - Process exit codes */
+const EXIT_CODES = { success: 0, failure: 1, usage: 2 };
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without node and script paths
+ * @return {Object} - Command, positional arguments and options
+ */
+function parseArguments(argv) {
+    const args = { command: undefined, positional: [], userAgents: [], url: undefined, profile: undefined, config: undefined, json: false, help: false };
+
+    for (let index = 0; index < argv.length; index++) {
+        /** @type {string} */
+        const arg = argv[index];
+        /** @type {number} - Position of "=" in "--option=value" arguments */
+        const separator = arg.indexOf('--') === 0 ? arg.indexOf('=') : -1;
+        /** @type {string} */
+        const name = separator === -1 ? arg : arg.slice(0, separator);
+        /** @type {string|undefined} */
+        const inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+
+        if (name === '--json') args.json = true;
+        else if (name === '-h' || name === '--help') args.help = true;
+        else if (name === '--ua' || name === '--url' || name === '--profile' || name === '--config') {
+            /** @type {string|undefined} */
+            const value = typeof inlineValue !== 'undefined' ? inlineValue : argv[++index];
+
+            if (typeof value === 'undefined') throw new Error(`The "${name}" option requires a value.`);
+
+            if (name === '--ua') args.userAgents.push(value);
+            else args[name.slice(2)] = value;
+        }
+        else if (arg.length > 1 && arg[0] === '-') throw new Error(`Unknown option: "${arg}".`);
+        else if (typeof args.command === 'undefined') args.command = arg;
+        else args.positional.push(arg);
+    }
+
+    if (args.userAgents.length === 0) args.userAgents.push('*');
+
+    return args;
+}
+
+/**
+ * Read a stream to its end
+ * @param {Object} stream - Readable stream
+ * @return {Promise<Buffer>} - Stream content
+ */
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+
+        stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Check URLs against a parser
+ * @param {RobotsTxtParser} parser - Parser
+ * @param {string[]} urls - URLs to check
+ * @param {Object} args - Parsed arguments
+ * @param {Object} io - Input and output streams
+ * @return {number} - Exit code
+ */
+function check(parser, urls, args, io) {
+    const results = [];
+
+    for (const url of urls) {
+        for (const userAgent of args.userAgents) {
+            /** @type {Object} */
+            const explanation = parser.explain(url, userAgent);
+
+            results.push({
+                url,
+                userAgent,
+                allowed: explanation.allowed,
+                rule: explanation.rule ? { type: explanation.rule.type, path: explanation.rule.path } : null,
+                line: typeof explanation.line === 'undefined' ? null : explanation.line
+            });
+        }
+    }
+
+    if (args.json) {
+        io.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+    } else {
+        results.forEach(result => {
+            /** @type {string} */
+            const rule = result.rule ? `${result.rule.type}: ${result.rule.path} (line ${result.line})` : 'no matching rule';
+
+            io.stdout.write(`${result.allowed ? 'allow' : 'deny '}  ${result.url}  [${result.userAgent}]  ${rule}\n`);
+        });
+    }
+
+    return results.every(result => result.allowed) ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * Print the parser and lint reports of a robots.txt file
+ * @param {RobotsTxtLinter} linter - Linter
+ * @param {Buffer|string} content - Raw robots.txt content
+ * @param {string} file - File name used in messages
+ * @param {Object} args - Parsed arguments
+ * @param {Object} io - Input and output streams
+ * @return {number} - Exit code
+ */
+function lint(linter, content, file, args, io) {
+    /** @type {Object[]} - Reports in order of their position */
+    const reports = linter.lint(content, { url: args.url, profile: args.profile });
+
+    if (args.json) {
+        io.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+    } else {
+        reports.forEach(report => {
+            io.stdout.write(`${file}:${report.line}:${report.column}  ${report.severity}  ${report.message}  (${report.code})\n`);
+        });
+    }
+
+    return reports.some(report => report.severity !== 'info') ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+/**
+ * Print the sitemaps of a parser
+ * @param {RobotsTxtParser} parser - Parser
+ * @param {Object} args - Parsed arguments
+ * @param {Object} io - Input and output streams
+ * @return {number} - Exit code
+ */
+function sitemaps(parser, args, io) {
+    /** @type {Object[]} */
+    const entries = parser.getSitemapEntries();
+
+    if (args.json) {
+        io.stdout.write(`${JSON.stringify(entries, null, 2)}\n`);
+    } else {
+        entries.forEach(entry => io.stdout.write(`${entry.url}\n`));
+    }
+
+    return EXIT_CODES.success;
+}
+
+/**
+ * Load the robotstxt factory function: the source in a checkout, so that an outdated
+ * build is never used, and the build in the published package, which has no source
+ * @return {Function} - robotstxt factory function
+ */
+function loadRobotstxt() {
+    try {
+        return require('../src/robotstxt.js').robotstxt;
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+
+        return require('../dist/robotstxt.js').robotstxt;
+    }
+}
+
+/**
+ * Run the command line interface
+ * @param {string[]} argv - Arguments without node and script paths
+ * @param {Object} io - Dependencies
+ * @param {Function} io.robotstxt - robotstxt factory function
+ * @param {Object} io.stdin - Readable standard input stream
+ * @param {Object} io.stdout - Writable standard output stream
+ * @param {Object} io.stderr - Writable standard error stream
+ * @param {Function} [io.readFile] - Read a file, returning a Promise of its content as Buffer or string
+ * @return {Promise<number>} - Exit code
+ */
+function run(argv, io) {
+    /** @type {Function} */
+    const readFile = io.readFile || (path => new Promise((resolve, reject) => {
+        fs.readFile(path, (error, content) => error ? reject(error) : resolve(content));
+    }));
+    let args;
+
+    try {
+        args = parseArguments(argv);
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}`);
+        return Promise.resolve(EXIT_CODES.usage);
+    }
+
+    if (args.help) {
+        io.stdout.write(USAGE);
+        return Promise.resolve(EXIT_CODES.success);
+    }
+
+    /** @type {string|undefined} */
+    const [file] = args.positional;
+    /** @type {string[]} */
+    const urls = args.positional.slice(1);
+    /** @type {string|undefined} */
+    let error;
+
+    if (['check', 'lint', 'sitemaps'].indexOf(args.command) === -1) error = args.command ? `Unknown command: "${args.command}".` : 'A command is required.';
+    else if (typeof file === 'undefined') error = 'A robots.txt file is required.';
+    else if (args.command === 'check' && urls.length === 0) error = 'At least one URL is required.';
+    else if (args.command !== 'check' && urls.length > 0) error = `Unexpected argument: "${urls[0]}".`;
+
+    if (error) {
+        io.stderr.write(`${error}\n\n${USAGE}`);
+        return Promise.resolve(EXIT_CODES.usage);
+    }
+
+    /** @type {function(string): Promise} - Read a file or standard input, naming the file in errors */
+    const read = path => (path === '-' ? readStream(io.stdin) : Promise.resolve().then(() => readFile(path)))
+        .catch(error => Promise.reject(new Error(`${path === '-' ? '<stdin>' : path}: ${error.message}`)));
+
+    /** @type {Promise<Object|undefined>} */
+    const config = args.config && read(args.config).then(json => {
+        try {
+            return JSON.parse(String(json));
+        } catch (error) {
+            throw new Error(`${args.config}: ${error.message}`);
+        }
+    });
+
+    return Promise.all([read(file), config])
+        .then(results => {
+            /** @type {Buffer|string} */
+            const [content] = results;
+
+            if (args.command === 'lint') return lint(io.robotstxt.linter(results[1]), content, file === '-' ? '<stdin>' : file, args, io);
+
+            /** @type {RobotsTxtParser} */
+            const parser = io.robotstxt(String(content), { url: args.url, profile: args.profile });
+
+            if (args.command === 'check') return check(parser, urls, args, io);
+
+            return sitemaps(parser, args, io);
+        })
+        .catch(error => {
+            io.stderr.write(`${error.message}\n`);
+            return EXIT_CODES.usage;
+        });
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2), {
+        robotstxt: loadRobotstxt(),
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr
+    }).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { run };
@@ -1,674 +1,4417 @@
-/* global window, exports, define */
+/* global window, exports, define, fetch, TextDecoder */
 
 !function () {
     'use strict';
 
+    /** @type {string[]} - Supported path matching modes */
+    const PATH_MATCHING_MODES = ['legacy', 'rfc9309'];
+
+    /** @type {string[]} - Supported user agent matching policies */
+    const USER_AGENT_MATCHING_MODES = ['rfc9309', 'google', 'bing', 'yandex'];
+
+    /**
+     * Search engine profiles: directives the crawlers apply besides User-agent, and parser
+     * option presets for user agent matching and path normalization, which also decides
+     * rule precedence (see RobotsTxtParser.getRuleSpecificity()). Google, Bing and Yandex
+     * document the RFC 9309 precedence, tie resolution and path normalization, so all
+     * profiles share pathMatching 'rfc9309' and only differ in directives and user agent matching.
+     * @type {Object.<string, Object>}
+     */
+    const PROFILES = {
+        rfc9309: {
+            directives: ['allow', 'disallow', 'sitemap'],
+            options: { pathMatching: 'rfc9309', userAgentMatching: 'rfc9309' }
+        },
+        google: {
+            directives: ['allow', 'disallow', 'sitemap'],
+            options: { pathMatching: 'rfc9309', userAgentMatching: 'google' }
+        },
+        bing: {
+            directives: ['allow', 'disallow', 'crawl-delay', 'sitemap'],
+            options: { pathMatching: 'rfc9309', userAgentMatching: 'bing' }
+        },
+        yandex: {
+            directives: ['allow', 'disallow', 'crawl-delay', 'sitemap', 'clean-param', 'host'],
+            options: { pathMatching: 'rfc9309', userAgentMatching: 'yandex' }
+        }
+    };
+
+    /** @type {string[]} - Directives defining access rules */
+    const RULE_DIRECTIVES = ['allow', 'disallow', 'noindex'];
+
+    /** @type {string[]} - Directives which require at least one User-Agent present */
+    const GROUP_DIRECTIVES = RULE_DIRECTIVES.concat([
+        'comment',
+        'robot-version',
+        'request-rate',
+        'visit-time',
+        'cache-delay',
+        'crawl-delay'
+    ]);
+
+    /** @type {Object.<string, string>} - Canonical directive names of rule types */
+    const DIRECTIVE_NAMES = {
+        allow: 'Allow',
+        disallow: 'Disallow',
+        noindex: 'Noindex'
+    };
+
+    /** @type {RegExp} - Whitespace characters */
+    const WHITESPACE = /\s/g;
+
+    /** @type {string[]} - Directives recognized by the parser */
+    const KNOWN_DIRECTIVES = GROUP_DIRECTIVES.concat([
+        'user-agent',
+        'sitemap',
+        'clean-param',
+        'host'
+    ]);
+
+    /** @type {string[]} - Lint rule severities */
+    const LINT_SEVERITIES = ['off', 'info', 'warning', 'error'];
+
+    /** @type {string[]} - Codes of parser reports, configurable like lint rules */
+    const REPORT_CODES = [
+        'missing-separator', 'empty-directive', 'unknown-directive', 'empty-value', 'missing-user-agent',
+        'duplicate-host', 'invalid-host', 'invalid-cache-delay', 'non-positive-cache-delay', 'invalid-crawl-delay',
+        'non-positive-crawl-delay', 'invalid-robot-version', 'invalid-request-rate', 'invalid-request-rate-time',
+        'invalid-visit-time', 'invalid-visit-time-range', 'invalid-clean-param', 'clean-param-too-long',
+        'relative-sitemap', 'invalid-sitemap-url', 'cross-host-sitemap', 'duplicate-sitemap', 'noindex-directive',
+        'unsupported-directive', 'pattern-too-long', 'too-many-rules', 'content-truncated'
+    ];
+
+    /** @type {number} - Size limit of robots.txt files in bytes (RFC 9309: at least 500 KiB) */
+    const MAX_ROBOTS_TXT_SIZE = 500 * 1024;
+
+    /** @type {Object} - Content placeholder of parsers receiving lines one by one from RobotsTxtStreamParser */
+    const INCREMENTAL_CONTENT = {};
+
+    /** @type {number} - Milliseconds in a minute */
+    const MINUTE = 60 * 1000;
+
+    /** @type {number} - Milliseconds in a day */
+    const DAY = 24 * 60 * MINUTE;
+
+    /** @type {Object.<string, number>} - Request-rate time units in seconds */
+    const TIME_UNITS = { s: 1, m: 60, h: 3600 };
+
+    /** @type {Object.<string, RegExp>} - Request-rate and Visit-time regular expressions */
+    const TIME_RE = {
+        requestRate: /^(\d+)\s*\/\s*(\d+)\s*([smh]?)(?:\s*(\d{4})\s*-\s*(\d{4}))?$/i,
+        visitTime: /^(\d{4})\s*-\s*(\d{4})$/
+    };
+
+    /** @type {number} - Default maximum length of an Allow, Disallow or Noindex path pattern */
+    const MAX_PATTERN_LENGTH = 2048;
+
+    /** @type {number} - Default maximum number of Allow, Disallow and Noindex rules per file */
+    const MAX_RULES = 10000;
+
+    /** @type {number} - Maximum length of a Clean-param value (Yandex) */
+    const MAX_CLEAN_PARAM_LENGTH = 500;
+
+    /** @type {Object.<string, RegExp>} - Clean-param regular expressions */
+    const CLEAN_PARAM_RE = {
+        parameter: /^[^\s&=#]+$/,
+        path: /^[A-Za-z0-9.\-/*_]+$/
+    };
+
+    /** @type {Object.<string, RegExp>} - Host directive regular expressions */
+    const HOST_RE = {
+        value: /^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/?#:[\]]+|\[[0-9a-f:.]+\])(?::(\d+))?\/?$/i,
+        label: /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/
+    };
+
+    /** @type {Object.<string, number>} - Default ports of the Host directive schemes */
+    const DEFAULT_PORTS = { http: 80, https: 443 };
+
+    /** @type {Object.<string, RegExp>} - Sitemap URL and XML regular expressions */
+    const SITEMAP_RE = {
+        scheme: /^[a-z][a-z0-9+.-]*:/i,
+        indexName: /index/i,
+        indexRoot: /<sitemapindex[\s>]/,
+        urlsetRoot: /<urlset[\s>]/,
+        field: /<(loc|lastmod|changefreq|priority)(?:\s[^>]*)?>([\s\S]*?)<\/\1\s*>/g,
+        cdata: /<!\[CDATA\[([\s\S]*?)\]\]>/,
+        entity: /&(?:#(\d+)|#x([0-9a-f]+)|(amp|lt|gt|quot|apos));/gi
+    };
+
+    /** @type {Object.<string, string>} - Predefined XML entities */
+    const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+    /** @type {Object.<string, RegExp>} - User-Agent header regular expressions */
+    const USER_AGENT_RE = {
+        comment: /\(([^)]*)\)/g,
+        productToken: /(?:^|[\s(;,])([a-z_-]+)\//g
+    };
+
+    /** @type {Object.<string, string[]>} - Robots meta tag and X-Robots-Tag directives */
+    const META_DIRECTIVES = {
+        flags: ['noindex', 'nofollow', 'noarchive', 'nosnippet', 'noimageindex', 'notranslate', 'indexifembedded'],
+        values: ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'],
+        aliases: ['all', 'none', 'nocache']
+    };
+
+    /** @type {string[]} - max-image-preview values from the most to the least restrictive */
+    const IMAGE_PREVIEW_SIZES = ['none', 'standard', 'large'];
+
+    /** @type {Object.<string, RegExp>} - Robots meta tag regular expressions */
+    const META_RE = {
+        tag: /<meta\b[^>]*>/gi,
+        attribute: /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g,
+        productToken: /^[a-z_-]+$/
+    };
+
+    /** @type {Object.<string, RegExp>} - Line tokenizer regular expressions */
+    const LINE_RE = {
+        eol: /(\r\n|\r|\n)/,
+        leadingWhitespace: /^\s*/,
+        whitespace: /\s/,
+        inlineComment: /(?:\s|^)#/
+    };
+
+    /**
+     * Check if a matching rule takes precedence over the current most specific one:
+     * more specific rules win, Allow wins over Disallow or Noindex (least restrictive) on equal specificity
+     * @param {Object} match - Matching rule with its specificity
+     * @param {Object} mostSpecific - Current most specific matching rule with its specificity
+     * @return {boolean} - True if the matching rule takes precedence
+     */
+    function isPreferredMatch(match, mostSpecific) {
+        if (match.specificity !== mostSpecific.specificity) return match.specificity > mostSpecific.specificity;
+
+        return match.rule.type === 'allow' && mostSpecific.rule.type !== 'allow';
+    }
+
+    /**
+     * Get the number of bytes of UTF-8 encoded text
+     * @param {string} text - Text
+     * @return {number} - Number of bytes
+     */
+    function getUtf8Length(text) {
+        /** @type {number} */
+        let bytes = 0;
+
+        for (let index = 0; index < text.length; index++) {
+            /** @type {number} */
+            const code = text.charCodeAt(index);
+
+            if (code < 0x80) bytes += 1;
+            else if (code < 0x800) bytes += 2;
+            else if (code >= 0xD800 && code <= 0xDBFF && index + 1 < text.length) {
+                // Surrogate pair, encoded as 4 bytes
+                bytes += 4;
+                index++;
+            }
+            else bytes += 3;
+        }
+
+        return bytes;
+    }
+
+    /**
+     * Truncate text to a maximum number of UTF-8 encoded bytes. A line cut by
+     * the limit is dropped, so that partial rules are not applied.
+     * @param {string} text - Text to truncate
+     * @param {number} maxBytes - Maximum number of bytes
+     * @return {Object} - Truncated text and whether it was truncated
+     */
+    function truncateUtf8(text, maxBytes) {
+        /** @type {number} */
+        let bytes = 0;
+
+        for (let index = 0; index < text.length; index++) {
+            /** @type {number} */
+            const code = text.charCodeAt(index);
+
+            if (code < 0x80) bytes += 1;
+            else if (code < 0x800) bytes += 2;
+            else if (code >= 0xD800 && code <= 0xDBFF) {
+                // Surrogate pair, encoded as 4 bytes
+                bytes += 4;
+                if (bytes <= maxBytes) index++;
+            }
+            else bytes += 3;
+
+            if (bytes > maxBytes) {
+                /** @type {number} */
+                const lineEnd = Math.max(text.lastIndexOf('\n', index - 1), text.lastIndexOf('\r', index - 1));
+
+                return { text: text.slice(0, lineEnd + 1), truncated: true };
+            }
+        }
+
+        return { text, truncated: false };
+    }
+
+    /**
+     * Compile a robots.txt path pattern for matchPattern(). "*" matches any sequence
+     * of characters, a "$" at the end anchors the pattern at the end of the path.
+     * Other characters, including "$" elsewhere, match themselves.
+     * @param {string} path - Path pattern
+     * @return {Object} - Literal segments between "*" wildcards and whether the pattern is anchored
+     */
+    function compilePattern(path) {
+        /** @type {boolean} */
+        const anchored = path.slice(-1) === '$';
+
+        return { segments: (anchored ? path.slice(0, -1) : path).split('*'), anchored };
+    }
+
+    /**
+     * Match a path against a compiled pattern from its start. Each segment is matched
+     * at its leftmost position after the previous one, which is always a valid choice
+     * as wildcards absorb the characters in between, so nothing is ever backtracked
+     * and hostile patterns such as "/*a*a*a*a*b" cannot blow up the matching time.
+     * @param {Object} pattern - Compiled pattern, see compilePattern()
+     * @param {string} path - Path to match
+     * @return {boolean} - True if the path matches
+     */
+    function matchPattern(pattern, path) {
+        const { segments, anchored } = pattern;
+        /** @type {string} */
+        const [first] = segments;
+
+        if (path.slice(0, first.length) !== first) return false;
+        if (segments.length === 1) return !anchored || path.length === first.length;
+
+        /** @type {string} */
+        const last = segments[segments.length - 1];
+        /** @type {number} - End of the part of the path available to the middle segments */
+        let end = path.length;
+
+        if (anchored) {
+            end -= last.length;
+
+            if (end < first.length || path.slice(end) !== last) return false;
+        }
+
+        /** @type {number} */
+        let position = first.length;
+
+        for (let index = 1; index < (anchored ? segments.length - 1 : segments.length); index++) {
+            /** @type {number} */
+            const found = path.indexOf(segments[index], position);
+
+            if (found === -1 || found + segments[index].length > end) return false;
+
+            position = found + segments[index].length;
+        }
+
+        return true;
+    }
+
+    /**
+     * Parse a Request-rate value: <requests> '/' <period>[s|m|h] [<time> '-' <time>],
+     * e.g. "1/5", "100/24h" or "1/10m 1300-1659"
+     * @param {string} value - Request-rate value
+     * @return {Object} - Either a value with the number of requests per seconds and an
+     *                    optional UTC time window, or an error with its report code and message
+     */
+    function parseRequestRate(value) {
+        /** @type {string[]|null} */
+        const match = value.match(TIME_RE.requestRate);
+
+        if (!match) {
+            return {
+                error: {
+                    code: 'invalid-request-rate',
+                    message: `Invalid Request-rate directive value: "${value}". Expected <requests>/<period>[s|m|h] with an optional <HHMM>-<HHMM> time window.`
+                }
+            };
+        }
+
+        /** @type {number} */
+        const requests = parseInt(match[1], 10);
+        /** @type {number} */
+        const seconds = parseInt(match[2], 10) * TIME_UNITS[(match[3] || 's').toLowerCase()];
+
+        if (requests < 1 || seconds < 1) {
+            return {
+                error: {
+                    code: 'invalid-request-rate',
+                    message: `Invalid Request-rate directive value: "${value}". The number of requests and the period must be positive.`
+                }
+            };
+        }
+
+        if (typeof match[4] === 'undefined') return { value: { requests, seconds, window: undefined } };
+
+        /** @type {string|undefined} */
+        const error = getTimeWindowError(match[4], match[5]);
+
+        if (error) {
+            return {
+                error: {
+                    code: 'invalid-request-rate-time',
+                    message: `Invalid Request-rate directive start-end time format: "${match[4]}-${match[5]}". ${error}`
+                }
+            };
+        }
+
+        return { value: { requests, seconds, window: createTimeWindow(match[4], match[5]) } };
+    }
+
+    /**
+     * Parse a Visit-time value: <time> '-' <time>, e.g. "0600-0845" or "2300-0400"
+     * @param {string} value - Visit-time value
+     * @return {Object} - Either a value with the UTC time window, or an error with its
+     *                    report code and message
+     */
+    function parseVisitTime(value) {
+        /** @type {string[]|null} */
+        const match = value.match(TIME_RE.visitTime);
+
+        if (!match) {
+            return {
+                error: {
+                    code: 'invalid-visit-time',
+                    message: `Invalid Visit-time directive value: "${value}". Expected <HHMM>-<HHMM>.`
+                }
+            };
+        }
+
+        /** @type {string|undefined} */
+        const error = getTimeWindowError(match[1], match[2]);
+
+        if (error) {
+            return {
+                error: {
+                    code: 'invalid-visit-time-range',
+                    message: `Invalid Visit-time directive start-end time format: "${match[1]}-${match[2]}". ${error}`
+                }
+            };
+        }
+
+        return { value: createTimeWindow(match[1], match[2]) };
+    }
+
+    /**
+     * Describe what is wrong with the times of a time window
+     * @param {string} start - Start time in HHMM format
+     * @param {string} end - End time in HHMM format
+     * @return {string|undefined} - Error description, undefined if both times are valid
+     */
+    function getTimeWindowError(start, end) {
+        /** @type {string|undefined} */
+        const invalid = [start, end].filter(time => time.substring(0, 2) > '23' || time.substring(2, 4) > '59')[0];
+
+        if (typeof invalid === 'undefined') return undefined;
+
+        return `"${invalid}" is not a valid time, hours must be 00-23 and minutes 00-59.`;
+    }
+
+    /**
+     * Create a time window from two valid times
+     * @param {string} start - Start time in HHMM format
+     * @param {string} end - End time in HHMM format
+     * @return {Object} - UTC time window with start and end in minutes of the day
+     */
+    function createTimeWindow(start, end) {
+        /** @type {function(string): number} */
+        const toMinutes = time => parseInt(time.substring(0, 2), 10) * 60 + parseInt(time.substring(2, 4), 10);
+
+        return { start: toMinutes(start), end: toMinutes(end) };
+    }
+
+    /**
+     * Parse a Host value: [<scheme>'://']<host name>[':'<port>], e.g. "example.com",
+     * "https://www.example.com" or "example.com:8080" (Yandex)
+     * @param {string} value - Host value
+     * @return {Object} - Either a value with the lowercase scheme (undefined if omitted), the
+     *                    lowercase host name with internationalized labels in punycode and the
+     *                    port (undefined if omitted or the default port of the scheme), or an
+     *                    error with its report code and message
+     */
+    function parseHost(value) {
+        /** @type {Array|null} */
+        const match = value.match(HOST_RE.value);
+
+        if (!match) {
+            return {
+                error: {
+                    code: 'invalid-host',
+                    message: `Invalid Host directive value: "${value}". Expected a host name with an optional scheme and port, e.g. "https://example.com:8080".`
+                }
+            };
+        }
+
+        /** @type {string|undefined} */
+        const scheme = match[1] && match[1].toLowerCase();
+        /** @type {number|undefined} */
+        const port = match[3] && parseInt(match[3], 10);
+
+        if (typeof scheme !== 'undefined' && !DEFAULT_PORTS[scheme]) {
+            return { error: { code: 'invalid-host', message: `Host scheme must be http or https: "${value}".` } };
+        }
+
+        if (typeof port !== 'undefined' && (port < 1 || port > 65535)) {
+            return { error: { code: 'invalid-host', message: `Host port must be between 1 and 65535: "${value}".` } };
+        }
+
+        /** @type {string|undefined} */
+        let hostname;
+
+        try {
+            // Converts internationalized domain names to punycode
+            ({ hostname } = new URL(`http://${match[2]}`));
+        } catch (error) {
+            hostname = undefined;
+        }
+
+        /** @type {boolean} */
+        const valid = typeof hostname !== 'undefined' && (hostname[0] === '[' ||
+            (hostname.length <= 253 && hostname.split('.').every(label => HOST_RE.label.test(label))));
+
+        if (!valid) {
+            return { error: { code: 'invalid-host', message: `Invalid Host name: "${match[2]}" in "${value}".` } };
+        }
+
+        return { value: { scheme, hostname, port: port === DEFAULT_PORTS[scheme] ? undefined : port } };
+    }
+
+    /**
+     * Parse a Clean-param value: <parameter>['&'<parameter>...] [<path prefix>],
+     * e.g. "ref&utm_source /catalog/*.php"
+     * @param {string} value - Clean-param value
+     * @return {Object} - Either a value with the parameter names, the optional path prefix and
+     *                    its compiled pattern, or an error with its report code and message
+     */
+    function parseCleanParam(value) {
+        if (value.length > MAX_CLEAN_PARAM_LENGTH) {
+            return {
+                error: {
+                    code: 'clean-param-too-long',
+                    message: `Clean-param directive value is ${value.length} characters long, the limit is ${MAX_CLEAN_PARAM_LENGTH} characters.`
+                }
+            };
+        }
+
+        /** @type {string[]} */
+        const parts = value.split(/\s+/);
+
+        if (parts.length > 2) {
+            return {
+                error: {
+                    code: 'invalid-clean-param',
+                    message: `Invalid Clean-param directive value: "${value}". Expected <parameter>[&<parameter>...] with an optional path prefix.`
+                }
+            };
+        }
+
+        /** @type {string[]} */
+        const params = parts[0].split('&');
+        /** @type {string|undefined} */
+        const invalid = params.filter(param => !CLEAN_PARAM_RE.parameter.test(param))[0];
+
+        if (typeof invalid !== 'undefined') {
+            return {
+                error: {
+                    code: 'invalid-clean-param',
+                    message: `Invalid Clean-param directive parameter: "${invalid}" in "${value}".`
+                }
+            };
+        }
+
+        /** @type {string|undefined} */
+        const path = parts[1];
+
+        if (typeof path === 'undefined') return { value: { params, path, pattern: undefined } };
+
+        if (!CLEAN_PARAM_RE.path.test(path)) {
+            return {
+                error: {
+                    code: 'invalid-clean-param',
+                    message: `Invalid Clean-param directive path prefix: "${path}". Only A-Z, a-z, 0-9, ".", "-", "/", "*" and "_" are allowed.`
+                }
+            };
+        }
+
+        return { value: { params, path, pattern: compilePattern(path) } };
+    }
+
+    /**
+     * Check if a time is within a UTC time window. The end minute is part of
+     * the window, windows ending before they start cross midnight.
+     * @param {Object} window - Time window with start and end in minutes of the day
+     * @param {number} time - Time in milliseconds
+     * @return {boolean} - True if the time is within the window
+     */
+    function isInTimeWindow(window, time) {
+        /** @type {number} - UTC minute of the day */
+        const minute = Math.floor((time % DAY) / MINUTE);
+
+        if (window.start <= window.end) return minute >= window.start && minute <= window.end;
+
+        return minute >= window.start || minute <= window.end;
+    }
+
+    /**
+     * Get the next start of a UTC time window
+     * @param {Object} window - Time window with start and end in minutes of the day
+     * @param {number} time - Time in milliseconds
+     * @return {number} - Start of the window following the time in milliseconds
+     */
+    function getNextTimeWindowStart(window, time) {
+        /** @type {number} */
+        const start = time - (time % DAY) + window.start * MINUTE;
+
+        return start > time ? start : start + DAY;
+    }
+
+    /**
+     * Get the next end of a UTC time window
+     * @param {Object} window - Time window with start and end in minutes of the day
+     * @param {number} time - Time in milliseconds
+     * @return {number} - First time after the window following the time in milliseconds
+     */
+    function getNextTimeWindowEnd(window, time) {
+        /** @type {number} */
+        const end = time - (time % DAY) + (window.end + 1) * MINUTE;
+
+        return end > time ? end : end + DAY;
+    }
+
+    /**
+     * Decode the text content of a XML element: CDATA sections and predefined or numeric entities
+     * @param {string} text - Raw element content
+     * @return {string} - Decoded and trimmed text
+     */
+    function decodeXmlText(text) {
+        return text
+            // Splitting keeps CDATA contents at odd indexes, they are not decoded
+            .split(SITEMAP_RE.cdata)
+            .map((part, index) => index % 2 === 1 ? part : part.replace(SITEMAP_RE.entity, (match, decimal, hex, name) => {
+                if (name) return XML_ENTITIES[name.toLowerCase()];
+
+                return String.fromCodePoint(decimal ? parseInt(decimal, 10) : parseInt(hex, 16));
+            }))
+            .join('')
+            .trim();
+    }
+
+    /**
+     * Parse a XML sitemap or sitemap index document
+     * @param {string} xml - XML content
+     * @return {Object} - Document type ('index', 'urlset' or undefined if not a sitemap) and its
+     *                    entries with loc, lastmod, changefreq and priority
+     */
+    function parseSitemapXml(xml) {
+        /** @type {string|undefined} */
+        const type = SITEMAP_RE.indexRoot.test(xml) ? 'index' : SITEMAP_RE.urlsetRoot.test(xml) ? 'urlset' : undefined;
+        const entries = [];
+
+        if (typeof type === 'undefined') return { type, entries };
+
+        /** @type {string} */
+        const tag = type === 'index' ? 'sitemap' : 'url';
+        /** @type {number} */
+        let index = xml.indexOf(`<${tag}`);
+
+        // Entries are located with indexOf, so that malformed documents are scanned in linear time
+        while (index !== -1) {
+            /** @type {string} */
+            const next = xml.charAt(index + tag.length + 1);
+
+            if (next !== '>' && !/\s/.test(next)) {
+                index = xml.indexOf(`<${tag}`, index + 1);
+                continue;
+            }
+
+            /** @type {number} */
+            const end = xml.indexOf(`</${tag}`, index);
+
+            if (end === -1) break;
+
+            const entry = { loc: undefined, lastmod: undefined, changefreq: undefined, priority: undefined };
+
+            xml.slice(index, end).replace(SITEMAP_RE.field, (match, name, content) => {
+                entry[name] = name === 'priority' ? parseFloat(decodeXmlText(content)) : decodeXmlText(content);
+            });
+
+            if (entry.loc) entries.push(entry);
+
+            index = xml.indexOf(`<${tag}`, end);
+        }
+
+        return { type, entries };
+    }
+
+    /**
+     * Split content into lines, keeping their end-of-line sequences
+     * @param {string} content - Raw robots.txt content
+     * @return {Object[]} - Lines with text and eol ('\r\n', '\r', '\n' or '' for the last line)
+     */
+    function splitLines(content) {
+        /** @type {string[]} - Alternating line texts and end-of-line sequences */
+        const parts = content.split(LINE_RE.eol);
+        const lines = [];
+
+        for (let index = 0; index < parts.length; index += 2) {
+            lines.push({ text: parts[index], eol: parts[index + 1] || '' });
+        }
+
+        return lines;
+    }
+
+    /**
+     * Tokenize a single robots.txt line. Joining the text of the tokens gives back
+     * the raw line, so that lines can be written back byte-for-byte.
+     * @param {string} text - Line text without end-of-line sequence
+     * @param {number} index - 0-based line index
+     * @param {string} [eol] - End-of-line sequence following the line
+     * @return {Object} - Tokenized line:
+     *                      - index, raw, eol: position and raw text of the line
+     *                      - type: 'blank', 'comment', 'directive' or 'invalid' (no ":" separator)
+     *                      - directive: trimmed, lowercase directive name
+     *                      - value: trimmed directive value without inline comment
+     *                      - comment: inline or full line comment including "#"
+     *                      - column, valueColumn: 1-based columns of the directive and its value
+     *                      - tokens: whitespace, directive, separator, value, text and comment tokens with their 1-based column
+     */
+    function tokenizeLine(text, index, eol) {
+        const line = {
+            index,
+            raw: text,
+            eol: eol || '',
+            type: 'blank',
+            directive: undefined,
+            value: undefined,
+            comment: undefined,
+            column: 1,
+            valueColumn: 1,
+            tokens: []
+        };
+
+        /** @type {number} - 0-based position of the next token */
+        let position = 0;
+
+        const addToken = (type, tokenText) => {
+            if (tokenText) line.tokens.push({ type, text: tokenText, column: position + 1 });
+            position += tokenText.length;
+        };
+
+        // Split trailing whitespace from a token
+        const addTrimmedToken = (type, tokenText) => {
+            let end = tokenText.length;
+
+            while (end > 0 && LINE_RE.whitespace.test(tokenText[end - 1])) end--;
+
+            const trimmedText = tokenText.slice(0, end);
+
+            addToken(type, trimmedText);
+            addToken('whitespace', tokenText.slice(trimmedText.length));
+
+            return trimmedText;
+        };
+
+        addToken('whitespace', text.match(LINE_RE.leadingWhitespace)[0]);
+
+        /** @type {string} - line without leading whitespace */
+        const body = text.slice(position);
+
+        line.column = position + 1;
+        line.valueColumn = line.column;
+
+        if (!body) return line;
+
+        if (body[0] === '#') {
+            line.type = 'comment';
+            line.comment = addTrimmedToken('comment', body);
+            return line;
+        }
+
+        /** @type {number} - directive:value separated using colon character */
+        const colonIndex = body.indexOf(':');
+
+        if (colonIndex === -1) {
+            line.type = 'invalid';
+            line.value = addTrimmedToken('text', body);
+            return line;
+        }
+
+        line.type = 'directive';
+        line.directive = addTrimmedToken('directive', body.slice(0, colonIndex)).toLowerCase();
+        addToken('separator', ':');
+
+        /** @type {string} - directive value with inline comment */
+        const rest = body.slice(colonIndex + 1);
+
+        addToken('whitespace', rest.match(LINE_RE.leadingWhitespace)[0]);
+        line.valueColumn = position + 1;
+
+        /** @type {string} - value without leading whitespace */
+        const valueText = text.slice(position);
+        /** @type {number} - directive value comment index */
+        const commentIndex = valueText.search(LINE_RE.inlineComment);
+        /** @type {number} - position of "#" character */
+        const hashIndex = commentIndex === -1 ? valueText.length : valueText.indexOf('#', commentIndex);
+
+        line.value = addTrimmedToken('value', valueText.slice(0, hashIndex));
+
+        if (hashIndex < valueText.length) {
+            line.comment = addTrimmedToken('comment', valueText.slice(hashIndex));
+        }
+
+        return line;
+    }
+
+    /**
+     * Get lowercase user agent names to look up groups for, in order of preference:
+     *   - the user agent itself (e.g. "googlebot-news")
+     *   - product tokens of a full User-Agent header, tokens within comments first
+     *     (e.g. "googlebot" for "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)")
+     *   - with Google policy, product tokens without trailing "-suffix" parts
+     *     (e.g. "googlebot" for "Googlebot-Image/1.0")
+     *   - with Bing policy, "msnbot" for "bingbot"
+     *   - with Yandex policy, "yandex" for all Yandex robots (e.g. "YandexImages")
+     * @param {string} userAgent - User agent name or full User-Agent header
+     * @param {string} userAgentMatching - User agent matching policy ('rfc9309', 'google', 'bing' or 'yandex')
+     * @return {string[]} - User agent names
+     */
+    function getUserAgentCandidates(userAgent, userAgentMatching) {
+        /** @type {string} */
+        const normalizedUserAgent = userAgent.trim().toLowerCase();
+
+        /** @type {string[]} */
+        const commentTokens = [];
+        /** @type {string[]} */
+        const productTokens = [];
+
+        // Product tokens within comments, e.g. "(compatible; Googlebot/2.1)"
+        const remainder = normalizedUserAgent.replace(USER_AGENT_RE.comment, (match, comment) => {
+            comment.replace(USER_AGENT_RE.productToken, (tokenMatch, token) => commentTokens.push(token));
+            return ' ';
+        });
+
+        remainder.replace(USER_AGENT_RE.productToken, (match, token) => productTokens.push(token));
+
+        /** @type {string[]} */
+        let candidates = [normalizedUserAgent].concat(commentTokens, productTokens);
+
+        if (userAgentMatching === 'google') {
+            /** @type {string[]} */
+            const prefixes = [];
+
+            for (const candidate of candidates) {
+                for (let index = candidate.lastIndexOf('-'); index > 0; index = candidate.lastIndexOf('-', index - 1)) {
+                    prefixes.push(candidate.slice(0, index));
+                }
+            }
+
+            candidates = candidates.concat(prefixes);
+        }
+        else if (userAgentMatching === 'bing' && candidates.indexOf('bingbot') !== -1) {
+            candidates = candidates.concat('msnbot');
+        }
+        else if (userAgentMatching === 'yandex' && candidates.some(candidate => candidate.indexOf('yandex') === 0)) {
+            candidates = candidates.concat('yandex');
+        }
+
+        return candidates.filter((candidate, index) => candidate && candidates.indexOf(candidate) === index);
+    }
+
+    /**
+     * Create robots meta directives without any restriction
+     * @return {Object} - Directives: boolean flags (noindex, nofollow, noarchive, nosnippet,
+     *                    noimageindex, notranslate, indexifembedded), maxSnippet, maxImagePreview,
+     *                    maxVideoPreview and unavailableAfter (time in milliseconds)
+     */
+    function createMetaDirectives() {
+        return META_DIRECTIVES.flags.reduce((directives, flag) => {
+            directives[flag] = false;
+            return directives;
+        }, { maxSnippet: undefined, maxImagePreview: undefined, maxVideoPreview: undefined, unavailableAfter: undefined });
+    }
+
+    /**
+     * Merge robots meta directives, the most restrictive ones win
+     * @param {Object} directives - Directives
+     * @param {Object} other - Directives to merge
+     * @return {Object} - Merged directives
+     */
+    function mergeMetaDirectives(directives, other) {
+        /** @type {function(number|undefined, number|undefined): number|undefined} - Lowest limit, -1 means no limit */
+        const lowest = (a, b) => {
+            if (typeof a === 'undefined' || a === -1) return typeof b === 'undefined' ? a : b;
+            if (typeof b === 'undefined' || b === -1) return a;
+
+            return Math.min(a, b);
+        };
+        /** @type {Object} */
+        const merged = createMetaDirectives();
+
+        META_DIRECTIVES.flags.forEach(flag => {
+            merged[flag] = directives[flag] || other[flag];
+        });
+
+        merged.maxSnippet = lowest(directives.maxSnippet, other.maxSnippet);
+        merged.maxVideoPreview = lowest(directives.maxVideoPreview, other.maxVideoPreview);
+        merged.maxImagePreview = [directives.maxImagePreview, other.maxImagePreview]
+            .filter(size => typeof size !== 'undefined')
+            .sort((a, b) => IMAGE_PREVIEW_SIZES.indexOf(a) - IMAGE_PREVIEW_SIZES.indexOf(b))[0];
+        merged.unavailableAfter = [directives.unavailableAfter, other.unavailableAfter]
+            .filter(time => typeof time !== 'undefined')
+            .sort((a, b) => a - b)[0];
+
+        return merged;
+    }
+
+    /**
+     * Get the values of a HTTP header, one per header line where the headers object
+     * keeps them apart: getAll() of older Headers implementations, raw() of node-fetch,
+     * plain objects with string array values. Headers.get() joins repeated headers with
+     * ", ", which can't be split back into header lines.
+     * @param {Object} [headers] - Headers object with a get() method, or plain object with
+     *                             string or string array values
+     * @param {string} name - Lowercase header name
+     * @return {string[]} - Header values
+     */
+    function getHeaderValues(headers, name) {
+        if (!headers) return [];
+
+        if (typeof headers.getAll === 'function') return headers.getAll(name);
+
+        if (typeof headers.raw === 'function') return getHeaderValues(headers.raw(), name);
+
+        if (typeof headers.get === 'function') {
+            /** @type {string|null} */
+            const value = headers.get(name);
+
+            return value === null || typeof value === 'undefined' ? [] : [value];
+        }
+
+        return Object.keys(headers)
+            .filter(key => key.toLowerCase() === name)
+            .reduce((values, key) => values.concat(headers[key]), []);
+    }
+
+    /**
+     * Assign a tokenized line to its user agent block, following the group grammar of
+     * RFC 9309 section 2.2: a block starts with one or more User-agent lines, followed
+     * by its member lines (group directives, including ones without value).
+     *   - A User-agent line after member lines starts a new block.
+     *   - Other records (Sitemap, Host, Clean-param, unknown directives) belong to no
+     *     block and are skipped like blank lines, comments and lines without directive,
+     *     wherever they appear.
+     *   - Group directives before any User-agent line form a block applying to "*".
+     * @param {Object} grouping - Grouping state: blocks found so far, the current block and
+     *                            optionally the group directives, all of them by default
+     * @param {Object} line - Tokenized line, lines must be added in order
+     * @return {Object|undefined} - Block of the line, undefined for lines outside blocks
+     */
+    function groupLine(grouping, line) {
+        if (line.type !== 'directive' || !line.directive) return undefined;
+
+        if (line.directive === 'user-agent') {
+            if (!line.value) return undefined;
+
+            if (!grouping.block || grouping.block.members.length > 0) {
+                grouping.block = { userAgents: [], userAgentLines: [], members: [], userAgentEnd: line.index, end: line.index };
+                grouping.blocks.push(grouping.block);
+            }
+
+            grouping.block.userAgents.push(line.value.toLowerCase());
+            grouping.block.userAgentLines.push(line);
+            grouping.block.userAgentEnd = line.index;
+            grouping.block.end = line.index;
+
+            return grouping.block;
+        }
+
+        if ((grouping.groupDirectives || GROUP_DIRECTIVES).indexOf(line.directive) === -1) return undefined;
+
+        // Group directives before any User-agent apply to "*"
+        if (!grouping.block) {
+            grouping.block = { userAgents: ['*'], userAgentLines: [], members: [], userAgentEnd: line.index - 1, end: line.index };
+            grouping.blocks.push(grouping.block);
+        }
+
+        grouping.block.members.push(line);
+        grouping.block.end = line.index;
+
+        return grouping.block;
+    }
+
+    /**
+     * Get the group directives supported by a search engine profile. Unsupported
+     * ones are skipped when grouping, like other records.
+     * @param {string} [profile] - Profile name
+     * @return {string[]|undefined} - Group directives, undefined for all of them
+     */
+    function getGroupDirectives(profile) {
+        if (typeof profile === 'undefined') return undefined;
+
+        return GROUP_DIRECTIVES.filter(directive => PROFILES[profile].directives.indexOf(directive) !== -1);
+    }
+
+    /**
+     * Group tokenized lines into user agent blocks, see groupLine()
+     * @param {Object[]} lines - Tokenized lines
+     * @param {string} [profile] - Search engine profile deciding the group directives
+     * @return {Object[]} - Blocks with their lowercase user agents, User-agent lines and
+     *                      member lines, 0-based index of the last User-agent line
+     *                      (userAgentEnd) and of the last line (end)
+     */
+    function groupLines(lines, profile) {
+        /** @type {Object} */
+        const grouping = { blocks: [], block: undefined, groupDirectives: getGroupDirectives(profile) };
+
+        lines.forEach(line => groupLine(grouping, line));
+
+        return grouping.blocks;
+    }
+
+    /**
+     * Make sure that a value written into a directive line keeps to that line:
+     * line breaks would start new lines (e.g. inject "Disallow: /" into a group)
+     * and "#" at the start or after whitespace would start a comment
+     * @param {string} name - Parameter name
+     * @param {string|number} value - Parameter value
+     * @throws {Error} If the value does not fit on a single directive line
+     */
+    function assertSingleLine(name, value) {
+        if (LINE_RE.eol.test(value)) throw new Error(`The "${name}" parameter must not contain line breaks.`);
+
+        if (LINE_RE.inlineComment.test(value)) throw new Error(`The "${name}" parameter must not contain "#" at its start or after whitespace, it would start a comment.`);
+    }
+
+    /**
+     * Get the Levenshtein edit distance of two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @return {number} - Minimum number of inserted, deleted or substituted characters
+     */
+    function getEditDistance(a, b) {
+        /** @type {number[]} */
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            /** @type {number[]} */
+            const current = [i];
+
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Single robots.txt rule (allow/disallow directive)
+     */
+    class Rule {
+        /**
+         * Create a new rule instance
+         * @param {string} type - Rule type ('allow', 'disallow' or 'noindex')
+         * @param {string} path - URL path pattern the rule applies to
+         * @param {number} [index] - 0-based line index of the rule in the source robots.txt
+         */
+        constructor(type, path, index) {
+            /** @member {string} */
+            this.type = type;
+            /** @member {string} */
+            this.path = path;
+            /** @member {number|undefined} */
+            this.index = index;
+            /** @member {Object} - Compiled path pattern, see compilePattern() */
+            this.pattern = compilePattern(path);
+        }
+
+        /**
+         * Get the line number of this rule in the source robots.txt
+         * @return {number|undefined} - 1-based line number, undefined if the rule was added programmatically
+         */
+        getLine() {
+            return typeof this.index === 'undefined' ? undefined : this.index + 1;
+        }
+
+        /**
+         * Test if a normalized URL path matches this rule's pattern. Rules with an empty
+         * path match nothing, like empty Allow and Disallow lines.
+         * @param {string} path - Normalized URL path to test against
+         * @return {boolean} - True if the path matches the rule's pattern
+         */
+        match(path) {
+            return this.path !== '' && matchPattern(this.pattern, path);
+        }
+    }
+
+    /**
+     * Group of rules for a specific user agent
+     */
+    class Group {
+        /**
+         * Create a new user agent group
+         * @param {string} userAgent - User agent string this group applies to
+         */
+        constructor(userAgent) {
+            /** @member {string} - User agent identifier for this group */
+            this.userAgent = userAgent;
+            /** @member {number|undefined} - Delay between crawler requests in seconds */
+            this.crawlDelay = undefined;
+            /** @member {number|undefined} - Specifies the minimum interval for a robot to wait after caching one page, before starting to cache another in seconds */
+            this.cacheDelay = undefined;
+            /** @member {Rule[]} - Collection of rules for this user agent */
+            this.rules = [];
+            /** @member {string} - Optional comment associated with the group */
+            this.comment = [];
+            /** @member {string|undefined} - Version of robots.txt specification used */
+            this.robotVersion = undefined;
+            /** @member {string|undefined} - Recommended visit time from robots.txt */
+            this.visitTime = undefined;
+            /** @member {string[]} - Request rate limits for this user agent */
+            this.requestRates = [];
+            /** @member {Object|undefined} - Recommended visit time as a UTC time window */
+            this.parsedVisitTime = undefined;
+            /** @member {Object[]} - Request rate limits as requests per seconds with optional UTC time window */
+            this.parsedRequestRates = [];
+            /** @member {Object[]} - Source blocks merged into this group */
+            this.blocks = [];
+        }
+
+        /**
+         * Get the user agent name for this group
+         * @return {string} User agent identifier
+         */
+        getName() {
+            return this.userAgent;
+        }
+
+        /**
+         * Get the comment associated with this group
+         * @return {string[]} Group comment if available
+         */
+        getComment() {
+            return this.comment;
+        }
+
+        /**
+         * Get the robots.txt specification version
+         * @return {string|undefined} Version number of robots.txt specification
+         */
+        getRobotVersion() {
+            return this.robotVersion;
+        }
+
+        /**
+         * Get the recommended visit time for crawler
+         * @return {string|undefined} Suggested crawl time window
+         */
+        getVisitTime() {
+            return this.visitTime;
+        }
+
+        /**
+         * Get request rate limitations for this group
+         * @return {string[]} Array of request rate rules
+         */
+        getRequestRates() {
+            return this.requestRates;
+        }
+
+        /**
+         * Get the recommended visit time as a structured value
+         * @return {Object|undefined} UTC time window with start and end in minutes of the day,
+         *                            e.g. { start: 360, end: 525 } for "0600-0845"
+         */
+        getParsedVisitTime() {
+            return this.parsedVisitTime;
+        }
+
+        /**
+         * Get request rate limitations as structured values, in the order of getRequestRates()
+         * @return {Object[]} Array of { requests, seconds, window } objects, window is a UTC time
+         *                    window with start and end in minutes of the day or undefined
+         */
+        getParsedRequestRates() {
+            return this.parsedRequestRates;
+        }
+
+        /**
+         * Get crawl delay setting for this group
+         * @return {number|undefined} Delay between requests in seconds
+         */
+        getCacheDelay() {
+            return this.cacheDelay;
+        }
+
+        /**
+         * Get crawl delay setting for this group
+         * @return {number|undefined} Delay between requests in seconds
+         */
+        getCrawlDelay() {
+            return this.crawlDelay;
+        }
+
+        /**
+         * Get all rules for this group
+         * @return {Rule[]} Array of rule objects
+         */
+        getRules() {
+            return this.rules;
+        }
+
+        /**
+         * Get the blocks of the source robots.txt this group was merged from, in source order.
+         * Rules can be traced back to their block with their line number.
+         * @return {Object[]} Array of { start, end, userAgents } objects with the 1-based
+         *                    line range of the block and the user agents it lists
+         */
+        getBlocks() {
+            return this.blocks;
+        }
+
+        /**
+         * Internal method to add a rule
+         * @param {string} type - Rule type ('allow', 'disallow', 'noindex')
+         * @param {string} path - URL path pattern
+         * @param {number} [index] - 0-based line index of the rule in the source robots.txt
+         */
+        addRule(type, path, index) {
+            if (typeof type === 'undefined') throw new Error('The "type" parameter is required.');
+            if (typeof path === 'undefined') throw new Error('The "path" parameter is required.');
+            this.rules.push(new Rule(type, path, index));
+        }
+    }
+
+    /**
+     * The robots.txt parser class
+     */
+    class RobotsTxtParser {
+        /**
+         * Create a new robots.txt parser
+         * @param {string} content - Raw robots.txt content to parse
+         * @param {Object} [options] - Parser options
+         * @param {string} [options.pathMatching='legacy'] - Path matching mode ('legacy' or 'rfc9309')
+         * @param {string} [options.userAgentMatching='rfc9309'] - User agent matching policy ('rfc9309', 'google', 'bing' or 'yandex')
+         * @param {string} [options.url] - Absolute URL of the robots.txt file, used to resolve and validate Sitemap URLs
+         * @param {boolean} [options.ignoreNoindex=false] - Ignore Noindex directives completely
+         * @param {number} [options.maxPatternLength=2048] - Maximum length of Allow, Disallow and Noindex paths, longer rules are ignored
+         * @param {number} [options.maxRules=10000] - Maximum number of Allow, Disallow and Noindex rules, further rules are ignored
+         * @param {string} [options.profile] - Search engine profile ('rfc9309', 'google', 'bing' or 'yandex'): only the
+         *                                     directives of the search engine are applied, its matching options are the
+         *                                     defaults of pathMatching and userAgentMatching
+         */
+        constructor(content, options) {
+            /** @type {string|undefined} */
+            const profile = options && options.profile;
+
+            if (typeof profile !== 'undefined' && !Object.prototype.hasOwnProperty.call(PROFILES, profile)) {
+                throw new Error(`The "profile" option must be one of: ${Object.keys(PROFILES).join(', ')}.`);
+            }
+
+            /**
+             * @private
+             * @type {Object}
+             * @description Parser options merged with the profile presets and their defaults
+             */
+            this.options = Object.assign({
+                pathMatching: 'legacy',
+                userAgentMatching: 'rfc9309',
+                ignoreNoindex: false,
+                maxPatternLength: MAX_PATTERN_LENGTH,
+                maxRules: MAX_RULES,
+                profile: undefined
+            }, profile && PROFILES[profile].options, options);
+
+            if (PATH_MATCHING_MODES.indexOf(this.options.pathMatching) === -1) {
+                throw new Error(`The "pathMatching" option must be one of: ${PATH_MATCHING_MODES.join(', ')}.`);
+            }
+
+            if (USER_AGENT_MATCHING_MODES.indexOf(this.options.userAgentMatching) === -1) {
+                throw new Error(`The "userAgentMatching" option must be one of: ${USER_AGENT_MATCHING_MODES.join(', ')}.`);
+            }
+
+            if (typeof this.options.url !== 'undefined' && !SITEMAP_RE.scheme.test(this.options.url)) {
+                throw new Error('The "url" option must be an absolute URL.');
+            }
+
+            /**
+             * @private
+             * @type {Group[]}
+             * @description Collection of user agent groups containing access rules.
+             *              Represents all parsed User-agent sections from robots.txt
+             */
+            this.groups = [];
+
+            /**
+             * @private
+             * @type {string[]}
+             * @description Array of absolute URLs to sitemaps specified in robots.txt.
+             *              Collected from Sitemap directives across the entire file.
+             */
+            this.sitemaps = [];
+
+            /**
+             * @private
+             * @type {Object[]}
+             * @description Resolved, valid and unique sitemap URLs with their type and source line
+             */
+            this.sitemapEntries = [];
+
+            /**
+             * @private
+             * @type {string[]}
+             * @description Collection of Clean-param directive values specifying
+             *              dynamic parameters that should be ignored during URL
+             *              canonicalization. These typically include tracking
+             *              parameters, session IDs, or other URL-specific values
+             *              that don't affect content.
+             */
+            this.cleanParam = [];
+
+            /**
+             * @private
+             * @type {Object[]}
+             * @description Parsed Clean-param directives with their parameter names,
+             *              optional path prefix and its regular expression
+             */
+            this.cleanParamRules = [];
+
+            /**
+             * @private
+             * @type {string|undefined}
+             * @description Preferred canonical host declaration from Host directive, used to:
+             *                - Specify the primary domain when multiple mirrors exist
+             *                - Handle internationalization/country targeting (ccTLDs)
+             *                - Enforce consistent domain (with/without www) for search engines
+             */
+            this.host = undefined;
+
+            /**
+             * @private
+             * @type {Object|undefined}
+             * @description Host directive with its scheme, punycode host name and port
+             */
+            this.parsedHost = undefined;
+
+            /**
+             * @private
+             * @type {Object[]}
+             * @description Parsing error, warning etc. reports
+             */
+            this.reports = [];
+
+            /**
+             * @private
+             * @type {Object|undefined}
+             * @description How the robots.txt was obtained, set by RobotsTxtFetcher
+             */
+            this.source = undefined;
+
+            /**
+             * @private
+             * @type {Object|undefined}
+             * @description State of the current group while lines are parsed: user agents
+             *              of the group, whether it has members and groups by user agent
+             */
+            this.parseState = undefined;
+
+            this.re = {
+                robotVersion: /^(\d+)(?:\.(\d+))*$/,
+                percentEncoding: /%([0-9A-Fa-f]{2})|[^\x21-\x7E]+|[*$]/g,
+                unreserved: /^[A-Za-z0-9\-._~]$/,
+                identifier: /^[a-z_-]+/,
+                scheme: /^[a-z][a-z\d+.-]*:/i
+            };
+
+            if (content !== INCREMENTAL_CONTENT) this.parse(content);
+        }
+
+        /**
+         * Parse raw robots.txt content into structured format
+         * @private
+         * @param {string} content - Raw robots.txt content
+         */
+        parse(content) {
+            if (typeof content === 'undefined') throw new Error('The "content" parameter is required.');
+
+            this.startParse();
+            splitLines(content).forEach((line, index) => this.parseLine(tokenizeLine(line.text, index, line.eol)));
+            this.endParse();
+        }
+
+        /**
+         * Prepare the parser for lines passed one by one to parseLine()
+         * @private
+         */
+        startParse() {
+            this.parseState = {
+                grouping: { blocks: [], block: undefined, groupDirectives: getGroupDirectives(this.options.profile) },
+                rules: 0,
+                groups: {}
+            };
+        }
+
+        /**
+         * Parse a single tokenized line, in order of the content
+         * @private
+         * @param {Object} line - Tokenized line, see tokenizeLine()
+         */
+        parseLine(line) {
+            /** @type {Object|undefined} - User agent block of the line, see groupLine() */
+            const block = groupLine(this.parseState.grouping, line);
+
+            if (block) {
+                if (block.userAgentLines.length === 0 && block.members[0] === line) {
+                    this.addReport('missing-user-agent', 'warning', `The ${line.directive} directive appears before any User-agent directive, applying it to "*".`, line, line.column);
+                }
+
+                // User agents without rules still get a group, it allows everything for them
+                this.getBlockUserAgents(block).forEach(agent => {
+                    if (!this.parseState.groups[agent.toLowerCase()]) this.parseState.groups[agent.toLowerCase()] = new Group(agent);
+                });
+            }
+
+            if (line.type === 'blank' || line.type === 'comment') return;
+
+            if (line.type === 'invalid') {
+                this.addReport('missing-separator', 'warning', `Missing ":" separator in line: "${line.value}".`, line, line.column);
+                return;
+            }
+
+            if (!line.directive) {
+                this.addReport('empty-directive', 'warning', `Missing directive name in line: "${line.raw.trim()}".`, line, line.column);
+                return;
+            }
+
+            if (KNOWN_DIRECTIVES.indexOf(line.directive) === -1) {
+                this.addReport('unknown-directive', 'warning', `Unknown directive: "${line.directive}".`, line, line.column);
+            }
+            else if (this.options.profile && line.directive !== 'user-agent' && PROFILES[this.options.profile].directives.indexOf(line.directive) === -1) {
+                this.addReport('unsupported-directive', 'info', `The "${line.directive}" directive is not supported by the ${this.options.profile} profile, it is ignored.`, line, line.column);
+                return;
+            }
+
+            if (!line.value) {
+                // Empty Allow/Disallow values are valid and mean "no restriction"
+                const severity = RULE_DIRECTIVES.indexOf(line.directive) !== -1 ? 'info' : 'warning';
+
+                this.addReport('empty-value', severity, `Empty ${line.directive} directive value.`, line);
+                return;
+            }
+
+            this.parseDirective(line, block);
+        }
+
+        /**
+         * Apply a directive line with a value to the groups of its block or to the file-wide settings
+         * @private
+         * @param {Object} currentLine - Tokenized directive line
+         * @param {Object|undefined} block - User agent block of the line, undefined for other records
+         */
+        parseDirective(currentLine, block) {
+            /** @type {Object.<string, Group>} */
+            const tempGroups = this.parseState.groups;
+            /** @type {string[]} - Groups the line applies to, none for User-agent lines and other records */
+            const userAgentList = block && currentLine.directive !== 'user-agent' ? this.getBlockUserAgents(block) : [];
+
+            // Ignored Noindex lines are no rules, they don't count towards the limits
+            if (currentLine.directive === 'noindex' && this.options.ignoreNoindex) {
+                this.addReport('noindex-directive', 'warning', 'Noindex directive is not part of RFC 9309, it is ignored.', currentLine);
+                return;
+            }
+
+            if (RULE_DIRECTIVES.indexOf(currentLine.directive) !== -1 && !this.isRuleWithinLimits(currentLine)) return;
+
+            if (currentLine.directive === 'allow') {
+                const normalizedPath = this.normalizeRulePath(currentLine.value);
+
+                userAgentList.forEach(agent => tempGroups[agent.toLowerCase()].addRule('allow', normalizedPath, currentLine.index));
+            }
+            else if (currentLine.directive === 'disallow') {
+                const normalizedPath = this.normalizeRulePath(currentLine.value);
+
+                userAgentList.forEach(agent => tempGroups[agent.toLowerCase()].addRule('disallow', normalizedPath, currentLine.index));
+            }
+            else if (currentLine.directive === 'noindex') {
+                this.addReport('noindex-directive', 'warning', 'Noindex directive is not part of RFC 9309 and is not supported by Google, it does not affect crawling.', currentLine);
+
+                const normalizedPath = this.normalizeRulePath(currentLine.value);
+
+                userAgentList.forEach(agent => tempGroups[agent.toLowerCase()].addRule('noindex', normalizedPath, currentLine.index));
+            }
+            // Cache-delay: 10
+            else if (currentLine.directive === 'cache-delay') {
+                const cacheDelay = currentLine.value * 1;
+
+                if (isNaN(cacheDelay)) {
+                    this.addReport('invalid-cache-delay', 'error', `Invalid Cache-delay directive value: "${currentLine.value}".`, currentLine);
+                    return;
+                }
+
+                if (cacheDelay <= 0) {
+                    this.addReport('non-positive-cache-delay', 'error', `Cache-delay must be a positive number. The provided value is ${cacheDelay}.`, currentLine);
+                    return;
+                }
+
+                userAgentList.forEach(agent => {
+                    if (!tempGroups[agent.toLowerCase()].cacheDelay) {
+                        tempGroups[agent.toLowerCase()].cacheDelay = cacheDelay;
+                    }
+                });
+            }
+            // Crawl-delay: 10
+            else if (currentLine.directive === 'crawl-delay') {
+                const crawlDelay = currentLine.value * 1;
+
+                if (isNaN(crawlDelay)) {
+                    this.addReport('invalid-crawl-delay', 'error', `Invalid Crawl-Delay directive value: "${currentLine.value}".`, currentLine);
+                    return;
+                }
+
+                if (crawlDelay <= 0) {
+                    this.addReport('non-positive-crawl-delay', 'error', `Crawl-Delay must be a positive number. The provided value is ${crawlDelay}.`, currentLine);
+                    return;
+                }
+
+                userAgentList.forEach(agent => {
+                    if (!tempGroups[agent.toLowerCase()].crawlDelay) {
+                        tempGroups[agent.toLowerCase()].crawlDelay = crawlDelay;
+                    }
+                });
+            }
+            // Comment: [text]
+            else if (currentLine.directive === 'comment') {
+                userAgentList.forEach(agent => tempGroups[agent.toLowerCase()].comment.push(currentLine.value));
+            }
+            // Robot-version: 2.0.0
+            else if (currentLine.directive === 'robot-version') {
+                if (!this.re.robotVersion.test(currentLine.value)) {
+                    this.addReport('invalid-robot-version', 'error', `Invalid Robot-Version directive value: "${currentLine.value}".`, currentLine);
+                    return;
+                }
+
+                userAgentList.forEach(agent => tempGroups[agent.toLowerCase()].robotVersion = currentLine.value);
+            }
+            // Request-rate: <rate> # 100/24h
+            // Request-rate: <rate> <time> '-' <time> # 100/24h 1300-1659
+            else if (currentLine.directive === 'request-rate') {
+                /** @type {Object} */
+                const requestRate = parseRequestRate(currentLine.value);
+                if (requestRate.error) {
+                    this.addReport(requestRate.error.code, 'error', requestRate.error.message, currentLine);
+                    return;
+                }
+
+                userAgentList.forEach(agent => {
+                    tempGroups[agent.toLowerCase()].requestRates.push(currentLine.value);
+                    tempGroups[agent.toLowerCase()].parsedRequestRates.push(requestRate.value);
+                });
+            }
+            // Visit-time: <time> '-' <time>
+            else if (currentLine.directive === 'visit-time') {
+                /** @type {Object} */
+                const visitTime = parseVisitTime(currentLine.value);
+                if (visitTime.error) {
+                    this.addReport(visitTime.error.code, 'error', visitTime.error.message, currentLine);
+                    return;
+                }
+
+                userAgentList.forEach(agent => {
+                    tempGroups[agent.toLowerCase()].visitTime = currentLine.value;
+                    tempGroups[agent.toLowerCase()].parsedVisitTime = visitTime.value;
+                });
+            }
+            else if (currentLine.directive === 'sitemap') {
+                this.sitemaps.push(currentLine.value);
+                this.addSitemapEntry(currentLine);
+            }
+            // Clean-param: [parameter1]&[parameter2]&[...] [path]
+            else if (currentLine.directive === 'clean-param') {
+                /** @type {Object} */
+                const cleanParam = parseCleanParam(currentLine.value);
+                if (cleanParam.error) {
+                    this.addReport(cleanParam.error.code, 'error', cleanParam.error.message, currentLine);
+                    return;
+                }
+
+                this.cleanParam.push(currentLine.value);
+                this.cleanParamRules.push(cleanParam.value);
+            }
+            // Host: [<scheme>://]<host name>[:<port>]
+            else if (currentLine.directive === 'host') {
+                /** @type {Object} */
+                const host = parseHost(currentLine.value);
+                if (host.error) {
+                    this.addReport(host.error.code, 'error', host.error.message, currentLine);
+                    return;
+                }
+
+                // Yandex uses the first valid Host directive
+                if (typeof this.host !== 'undefined') {
+                    this.addReport('duplicate-host', 'warning', `Duplicate Host directive: "${currentLine.value}". Only the first one, "${this.host}", is used.`, currentLine);
+                    return;
+                }
+
+                this.host = currentLine.value;
+                this.parsedHost = host.value;
+            }
+        }
+
+        /**
+         * Check a rule line against the pattern length and rule count limits, reporting rules over them
+         * @private
+         * @param {Object} line - Tokenized Allow, Disallow or Noindex line
+         * @return {boolean} - True if the rule is within the limits
+         */
+        isRuleWithinLimits(line) {
+            /** @type {Object} */
+            const state = this.parseState;
+
+            if (line.value.length > this.options.maxPatternLength) {
+                this.addReport('pattern-too-long', 'error', `${DIRECTIVE_NAMES[line.directive]} path is ${line.value.length} characters long, the limit is ${this.options.maxPatternLength} characters. The rule is ignored.`, line);
+                return false;
+            }
+
+            state.rules++;
+
+            if (state.rules > this.options.maxRules) {
+                // Reported once, on the first rule over the limit
+                if (state.rules === this.options.maxRules + 1) {
+                    this.addReport('too-many-rules', 'error', `More than ${this.options.maxRules} rules, this and all following rules are ignored.`, line, line.column);
+                }
+
+                return false;
+            }
+
+            return true;
+        }
+
+        /**
+         * Finish parsing after the last line
+         * @private
+         */
+        endParse() {
+            /** @type {Object.<string, Group>} */
+            const tempGroups = this.parseState.groups;
+
+            this.parseState.grouping.blocks.forEach(block => {
+                /** @type {string[]} */
+                const userAgents = this.getBlockUserAgents(block);
+                /** @type {Object} - 1-based line range of the block */
+                const source = { start: (block.userAgentLines[0] || block.members[0]).index + 1, end: block.end + 1, userAgents };
+
+                userAgents.forEach(agent => tempGroups[agent.toLowerCase()].blocks.push(source));
+            });
+
+            this.groups = Object.keys(tempGroups).map(key => tempGroups[key]);
+            this.parseState = undefined;
+        }
+
+        /**
+         * Get the group names of a user agent block
+         * @private
+         * @param {Object} block - Block, see groupLine()
+         * @return {string[]} - Unique user agents as written, "*" for group directives before any User-agent
+         */
+        getBlockUserAgents(block) {
+            if (block.userAgentLines.length === 0) return ['*'];
+
+            /** @type {string[]} */
+            const names = block.userAgentLines.map(line => line.value.toLowerCase());
+
+            return block.userAgentLines
+                .map(line => line.value)
+                .filter((userAgent, index) => names.indexOf(names[index]) === index);
+        }
+
+        /**
+         * Resolve and validate a Sitemap directive, adding valid and unique URLs to the sitemap entries
+         * @private
+         * @param {Object} line - Normalized Sitemap line
+         */
+        addSitemapEntry(line) {
+            /** @type {string|undefined} */
+            const base = this.options.url;
+            /** @type {URL} */
+            let url;
+
+            if (!SITEMAP_RE.scheme.test(line.value)) {
+                if (typeof base === 'undefined') {
+                    this.addReport('relative-sitemap', 'warning', `Sitemap URL is not absolute: "${line.value}". It is ignored, as the robots.txt URL is unknown.`, line);
+                    return;
+                }
+
+                this.addReport('relative-sitemap', 'warning', `Sitemap URL is not absolute: "${line.value}". It is resolved against the robots.txt URL.`, line);
+            }
+
+            try {
+                url = new URL(line.value, base);
+            } catch (error) {
+                this.addReport('invalid-sitemap-url', 'error', `Invalid Sitemap URL: "${line.value}".`, line);
+                return;
+            }
+
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                this.addReport('invalid-sitemap-url', 'error', `Sitemap URL must use http or https: "${line.value}".`, line);
+                return;
+            }
+
+            if (typeof base !== 'undefined' && url.host !== new URL(base).host) {
+                this.addReport('cross-host-sitemap', 'warning', `Sitemap URL is on another host than the robots.txt: "${line.value}".`, line);
+            }
+
+            if (this.sitemapEntries.some(entry => entry.url === url.href)) {
+                this.addReport('duplicate-sitemap', 'info', `Duplicate Sitemap URL: "${line.value}".`, line);
+                return;
+            }
+
+            this.sitemapEntries.push({
+                url: url.href,
+                type: SITEMAP_RE.indexName.test(url.pathname.split('/').pop()) ? 'index' : 'sitemap',
+                line: line.index + 1
+            });
+        }
+
+        /**
+         * Add a report about a robots.txt line
+         * @private
+         * @param {string} code - Stable report code (e.g. 'invalid-crawl-delay')
+         * @param {string} severity - Report severity ('error', 'warning' or 'info')
+         * @param {string} message - Human readable report message
+         * @param {Object} line - Normalized robots.txt line the report refers to
+         * @param {number} [column] - 1-based column, defaults to the column of the directive value
+         */
+        addReport(code, severity, message, line, column) {
+            this.reports.push({
+                code,
+                severity,
+                message,
+                line: line.index + 1,
+                column: typeof column === 'undefined' ? line.valueColumn : column,
+                directive: line.directive,
+                value: line.value
+            });
+        }
+
+        /**
+         * Returns the reports collected during parsing and validating the robots.txt file
+         * @returns {Object[]} Parsing error, warning etc. reports, each with code, severity,
+         *                     message, 1-based line and column, directive and raw value
+         */
+        getReports() {
+            return this.reports;
+        }
+
+        /**
+         * Returns how the robots.txt was obtained when fetched by RobotsTxtFetcher
+         * @returns {Object|undefined} Fetch details: url, finalUrl, status, state ('ok', 'unavailable'
+         *                             or 'unreachable'), redirects, truncated, fetchedAt, expiresAt and error
+         */
+        getSource() {
+            return this.source;
+        }
+
+        /**
+         * Check if a URL is allowed for specified user agent
+         * @param {string} url - URL to check
+         * @param {string} userAgent - User agent to check rules for
+         * @return {boolean} - True if allowed, false if disallowed
+         */
+        isAllowed(url, userAgent) {
+            return this.explain(url, userAgent).allowed;
+        }
+
+        /**
+         * Explain the access decision for a URL and user agent
+         * @param {string} url - URL to check
+         * @param {string} userAgent - User agent to check rules for
+         * @return {Object} - Decision details:
+         *                      - allowed: true if allowed, false if disallowed
+         *                      - rule: winning rule or undefined if no rule decided
+         *                      - line: 1-based source line of the winning rule
+         *                      - group: group the decision was taken from
+         *                      - matches: every matching rule with its specificity and line
+         */
+        explain(url, userAgent) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+            if (typeof userAgent === 'undefined') throw new Error('The "userAgent" parameter is required.');
+
+            /** @type {Group[]} */
+            const groups = this.getApplicableGroups(userAgent);
+
+            /** @type {Rule[]} - Noindex rules do not affect crawling */
+            const rules = groups
+                .reduce((acc, group) => acc.concat(group.getRules()), [])
+                .filter(rule => rule.type !== 'noindex');
+
+            /** @type {string} */
+            const urlPath = this.normalizeUrlPath(url);
+
+            const explanation = {
+                allowed: true,
+                rule: undefined,
+                line: undefined,
+                group: groups[0],
+                matches: []
+            };
+
+            // RFC 9309: the /robots.txt URI is implicitly allowed
+            if (this.options.pathMatching === 'rfc9309' && urlPath === '/robots.txt') return explanation;
+
+            for (const rule of rules) {
+                if (rule.match(urlPath)) {
+                    explanation.matches.push({
+                        rule,
+                        specificity: this.getRuleSpecificity(rule.path),
+                        line: rule.getLine()
+                    });
+                }
+            }
+
+            if (explanation.matches.length === 0) return explanation;
+
+            // Find most specific rule
+            let mostSpecific = explanation.matches[0];
+            for (const match of explanation.matches) {
+                if (isPreferredMatch(match, mostSpecific)) {
+                    mostSpecific = match;
+                }
+            }
+
+            explanation.allowed = mostSpecific.rule.type === 'allow';
+            explanation.rule = mostSpecific.rule;
+            explanation.line = mostSpecific.line;
+            explanation.group = groups.find(group => group.getRules().indexOf(mostSpecific.rule) !== -1);
+
+            return explanation;
+        }
+
+        /**
+         * Check if a URL is excluded from indexing by a Noindex rule. Noindex and Allow rules
+         * compete like Allow and Disallow do: the most specific rule wins, Allow on equal specificity.
+         * @param {string} url - URL to check
+         * @param {string} userAgent - User agent to check rules for
+         * @return {boolean} - True if the most specific matching rule is a Noindex rule
+         */
+        isNoindex(url, userAgent) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+            if (typeof userAgent === 'undefined') throw new Error('The "userAgent" parameter is required.');
+
+            /** @type {string} */
+            const urlPath = this.normalizeUrlPath(url);
+            /** @type {Object|undefined} */
+            let mostSpecific;
+
+            for (const rule of this.getApplicableRules(userAgent)) {
+                if (rule.type === 'disallow' || !rule.match(urlPath)) continue;
+
+                const match = { rule, specificity: this.getRuleSpecificity(rule.path) };
+
+                if (!mostSpecific || isPreferredMatch(match, mostSpecific)) mostSpecific = match;
+            }
+
+            return typeof mostSpecific !== 'undefined' && mostSpecific.rule.type === 'noindex';
+        }
+
+        /**
+         * Evaluate crawl, index and follow permissions of a page, combining robots.txt rules with
+         * robots meta tags and X-Robots-Tag headers. Page level directives are only taken into
+         * account if the page may be crawled, as crawlers never see them otherwise.
+         * @param {string} url - URL to check
+         * @param {string} userAgent - User agent to check rules for
+         * @param {Object} [page] - Page response
+         * @param {Object} [page.headers] - Response headers, Headers object or plain object
+         * @param {string} [page.html] - HTML content
+         * @param {number} [page.now] - Current time in milliseconds, compared to unavailable_after
+         * @return {Object} - Permissions (crawl, index, follow), the robots.txt rule deciding
+         *                    crawling and the page level directives
+         */
+        evaluate(url, userAgent, page) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+            if (typeof userAgent === 'undefined') throw new Error('The "userAgent" parameter is required.');
+
+            const settings = Object.assign({ headers: undefined, html: undefined, now: Date.now() }, page);
+
+            /** @type {Object} */
+            const explanation = this.explain(url, userAgent);
+            /** @type {Object} */
+            const directives = explanation.allowed
+                ? new RobotsMetaParser(settings, { userAgentMatching: this.options.userAgentMatching }).getDirectives(userAgent)
+                : createMetaDirectives();
+            /** @type {boolean} */
+            const expired = typeof directives.unavailableAfter !== 'undefined' && directives.unavailableAfter <= settings.now;
+
+            return {
+                crawl: explanation.allowed,
+                index: !this.isNoindex(url, userAgent) && !directives.noindex && !expired,
+                follow: explanation.allowed && !directives.nofollow,
+                rule: explanation.rule,
+                directives
+            };
+        }
+
+        /**
+         * Evaluate many URLs for several user agents at once, e.g. to audit a site crawl.
+         * Rules are compiled once per user agent and URLs are normalized once.
+         * @param {string|Iterable<string>|AsyncIterable<string>} urls - URLs to check, a single URL or an async iterable
+         *                                                               (e.g. lines of a readline interface) streaming through
+         * @param {string|string[]} userAgents - User agents to check the URLs for
+         * @return {Object|Promise<Object>} - Evaluation, a Promise of it for async iterables:
+         *                                      - userAgents, urls: columns and rows of the verdict matrix
+         *                                      - verdicts: verdicts[row][column] is true if urls[row] is allowed
+         *                                        for userAgents[column]
+         *                                      - rules: { rule, userAgents, decided, blocked } for every Allow and Disallow
+         *                                        rule of the user agents, with the number of URLs it decided and blocked
+         *                                      - deadRules: rules that never decided any URL, because they never
+         *                                        matched or always lost to more specific rules
+         *                                      - divergent: URLs allowed for some user agents and disallowed for others
+         */
+        evaluateBatch(urls, userAgents) {
+            if (typeof urls === 'undefined') throw new Error('The "urls" parameter is required.');
+            if (typeof userAgents === 'undefined') throw new Error('The "userAgents" parameter is required.');
+
+            /** @type {string[]} */
+            const agents = [].concat(userAgents);
+            /** @type {Iterable<string>|AsyncIterable<string>} - A single URL, not its characters */
+            const urlList = typeof urls === 'string' ? [urls] : urls;
+            /** @type {RobotsTxtMatcher[]} */
+            const matchers = agents.map(userAgent => this.compile(userAgent));
+            /** @type {Map<Rule, Object>} - Statistics by rule, rules of groups shared by user agents once */
+            const stats = new Map();
+            const evaluation = { userAgents: agents, urls: [], verdicts: [], rules: [], deadRules: [], divergent: [] };
+
+            matchers.forEach((matcher, column) => matcher.entries.forEach(({ rule }) => {
+                if (!stats.has(rule)) {
+                    stats.set(rule, { rule, userAgents: [], decided: 0, blocked: 0, row: -1 });
+                }
+
+                stats.get(rule).userAgents.push(agents[column]);
+            }));
+
+            const evaluate = url => {
+                /** @type {number} */
+                const row = evaluation.urls.length;
+                /** @type {string} */
+                const urlPath = this.normalizeUrlPath(url);
+                /** @type {boolean[]} */
+                const verdicts = matchers.map(matcher => {
+                    /** @type {Rule|undefined} */
+                    const rule = matcher.matchPath(urlPath);
+                    /** @type {Object|undefined} */
+                    const stat = rule && stats.get(rule);
+
+                    // Count each URL once per rule, even if several user agents share it
+                    if (stat && stat.row !== row) {
+                        stat.row = row;
+                        stat.decided++;
+                        if (rule.type === 'disallow') stat.blocked++;
+                    }
+
+                    return !rule || rule.type === 'allow';
+                });
+
+                evaluation.urls.push(url);
+                evaluation.verdicts.push(verdicts);
+
+                if (verdicts.indexOf(!verdicts[0]) !== -1) evaluation.divergent.push(url);
+            };
+
+            const finish = () => {
+                evaluation.rules = Array.from(stats.values())
+                    .sort((a, b) => (typeof a.rule.index === 'undefined' ? Infinity : a.rule.index) - (typeof b.rule.index === 'undefined' ? Infinity : b.rule.index))
+                    .map(stat => ({ rule: stat.rule, userAgents: stat.userAgents, decided: stat.decided, blocked: stat.blocked }));
+                evaluation.deadRules = evaluation.rules.filter(stat => stat.decided === 0).map(stat => stat.rule);
+
+                return evaluation;
+            };
+
+            if (typeof Symbol !== 'undefined' && Symbol.asyncIterator && typeof urlList[Symbol.asyncIterator] === 'function') {
+                /** @type {AsyncIterator<string>} */
+                const iterator = urlList[Symbol.asyncIterator]();
+
+                // Read in a loop instead of chaining next() calls, so that promises do not nest
+                return new Promise((resolve, reject) => {
+                    const next = () => iterator.next().then(result => {
+                        if (result.done) {
+                            resolve(finish());
+                            return;
+                        }
+
+                        evaluate(result.value);
+                        next();
+                    }).catch(reject);
+
+                    next();
+                });
+            }
+
+            for (const url of urlList) evaluate(url);
+
+            return finish();
+        }
+
+        /**
+         * Compile the rules of a user agent into a matcher for repeated checks
+         * @param {string} userAgent - User agent to compile rules for
+         * @return {RobotsTxtMatcher} - Matcher answering isAllowed() for the user agent
+         */
+        compile(userAgent) {
+            if (typeof userAgent === 'undefined') throw new Error('The "userAgent" parameter is required.');
+
+            return new RobotsTxtMatcher(this, userAgent);
+        }
+
+        /**
+         * Check if a URL is disallowed for specified user agent
+         * @param {string} url - URL to check
+         * @param {string} userAgent - User agent to check rules for
+         * @return {boolean} - True if disallowed, false if allowed
+         */
+        isDisallowed(url, userAgent) {
+            return !this.isAllowed(url, userAgent);
+        }
+
+        /**
+         * Get sitemap URLs found in robots.txt
+         * @return {string[]} - Array of sitemap URLs
+         */
+        getSitemaps() {
+            return this.sitemaps;
+        }
+
+        /**
+         * Get the sitemaps resolved against the robots.txt URL (options.url), without invalid
+         * URLs and duplicates
+         * @return {Object[]} Array of { url, type, line } objects, type is 'index' for sitemap
+         *                    index files (based on their name) and 'sitemap' otherwise
+         */
+        getSitemapEntries() {
+            return this.sitemapEntries;
+        }
+
+        /**
+         * Retrieve Clean-param directives for URL parameter sanitization
+         * @returns {string[]} Array of parameter patterns in Clean-param format:
+         *                         - Each entry follows "param[&param2] [path-prefix]" syntax
+         *                         - Path prefix is optional and specifies URL scope
+         */
+        getCleanParams() {
+            return this.cleanParam;
+        }
+
+        /**
+         * Retrieve Clean-param directives as structured values
+         * @returns {Object[]} Array of { params, path } objects in the order of getCleanParams():
+         *                         - params: parameter names to remove (case-sensitive)
+         *                         - path: path prefix with optional "*" wildcards, undefined for all paths
+         */
+        getParsedCleanParams() {
+            return this.cleanParamRules.map(rule => ({ params: rule.params, path: rule.path }));
+        }
+
+        /**
+         * Remove query parameters listed by Clean-param directives, the way Yandex
+         * collapses URL variants. The rest of the URL is kept as is.
+         * @param {string} url - Absolute URL or path with query string
+         * @return {string} - URL without the parameters that apply to its path
+         */
+        cleanUrl(url) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+
+            /** @type {number} */
+            const hashIndex = url.indexOf('#');
+            /** @type {string} */
+            const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+            /** @type {string} */
+            const beforeHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+            /** @type {number} */
+            const queryIndex = beforeHash.indexOf('?');
+
+            if (queryIndex === -1) return url;
+
+            /** @type {string} */
+            const base = beforeHash.slice(0, queryIndex);
+            /** @type {string} */
+            const { pathname } = new URL(base, 'http://localhost');
+            /** @type {string[]} - Parameter names to remove for this path */
+            const params = this.cleanParamRules
+                .filter(rule => !rule.pattern || matchPattern(rule.pattern, pathname))
+                .reduce((names, rule) => names.concat(rule.params), []);
+
+            if (params.length === 0) return url;
+
+            /** @type {string[]} */
+            const pairs = beforeHash.slice(queryIndex + 1).split('&');
+            /** @type {boolean[]} - Whether each pair is a parameter to remove */
+            const removed = pairs.map(pair => {
+                /** @type {string} */
+                const name = pair.split('=')[0];
+                let decodedName;
+
+                try {
+                    decodedName = decodeURIComponent(name.replace(/\+/g, ' '));
+                } catch (error) {
+                    decodedName = name;
+                }
+
+                return pair !== '' && params.indexOf(decodedName) !== -1;
+            });
+
+            // URLs without parameters to remove are kept as they are, empty pairs included
+            if (removed.indexOf(true) === -1) return url;
+
+            /** @type {string[]} */
+            const kept = pairs.filter((pair, index) => pair !== '' && !removed[index]);
+
+            return `${base}${kept.length > 0 ? `?${kept.join('&')}` : ''}${hash}`;
+        }
+
+        /**
+         * Get canonical host declaration for domain normalization
+         * @returns {string|undefined} Value of the first valid Host directive, as written:
+         *                        - Domain without protocol (e.g., "www.example.com")
+         *                        - Domain with port (e.g., "example.com:8080")
+         *                        - Domain with protocol (e.g., "https://www.example.com")
+         *                        - undefined if no valid Host directive declared
+         */
+        getHost() {
+            return this.host;
+        }
+
+        /**
+         * Get the main mirror declared by the first valid Host directive, the way Yandex uses it
+         * @returns {string|undefined} Normalized host: lowercase, internationalized domain names
+         *                             in punycode, without default port, scheme kept if given
+         *                             (e.g. "https://xn--e1afmkfd.xn--p1ai" for "https://ПРИМЕР.рф:443")
+         */
+        getCanonicalHost() {
+            if (typeof this.parsedHost === 'undefined') return undefined;
+
+            const { scheme, hostname, port } = this.parsedHost;
+
+            return `${scheme ? `${scheme}://` : ''}${hostname}${typeof port === 'undefined' ? '' : `:${port}`}`;
+        }
+
+        /**
+         * Rewrite a mirror URL to the main mirror declared by the Host directive. The scheme
+         * is only changed if the Host directive has one, the path, query and hash are kept.
+         * @param {string} url - Absolute http(s) URL, other URLs are returned unchanged
+         * @return {string} - URL on the main mirror, unchanged without valid Host directive
+         */
+        canonicalizeUrl(url) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+
+            if (typeof this.parsedHost === 'undefined' || !SITEMAP_RE.scheme.test(url)) return url;
+
+            /** @type {URL} */
+            let target;
+
+            try {
+                target = new URL(url);
+            } catch (error) {
+                return url;
+            }
+
+            if (target.protocol !== 'http:' && target.protocol !== 'https:') return url;
+
+            const { scheme, hostname, port } = this.parsedHost;
+
+            if (scheme) target.protocol = `${scheme}:`;
+
+            target.hostname = hostname;
+            target.port = typeof port === 'undefined' ? '' : String(port);
+
+            return target.href;
+        }
+
+        /**
+         * Serialize parsed robots.txt into canonical robots.txt text
+         * @param {Object} [options] - Serialization options
+         * @param {boolean} [options.mergeGroups=false] - Merge user agents sharing identical group directives into one group
+         * @param {boolean} [options.comments=true] - Keep Comment directives
+         * @return {string} - Canonical robots.txt content
+         */
+        serialize(options) {
+            const settings = Object.assign({ mergeGroups: false, comments: true }, options);
+
+            /** @type {Object[]} - User agent blocks with their directive lines */
+            const blocks = [];
+            /** @type {Object.<string, Object>} - Blocks keyed by their directive lines */
+            const blocksByBody = {};
+
+            for (const group of this.groups) {
+                /** @type {string[]} */
+                const body = this.serializeGroup(group, settings);
+                const key = body.join('\n');
+
+                if (settings.mergeGroups && blocksByBody[key]) {
+                    blocksByBody[key].userAgents.push(group.getName());
+                    continue;
+                }
+
+                const block = { userAgents: [group.getName()], body };
+
+                blocks.push(block);
+                blocksByBody[key] = block;
+            }
+
+            // Groups without directives go last, otherwise re-parsing would
+            // merge their User-agent lines into the following group
+            const sections = blocks
+                .filter(block => block.body.length > 0)
+                .concat(blocks.filter(block => block.body.length === 0))
+                .map(block => block.userAgents.map(userAgent => `User-agent: ${userAgent}`).concat(block.body));
+
+            /** @type {string[]} */
+            const globalLines = []
+                .concat(this.sitemaps.map(sitemap => `Sitemap: ${sitemap}`))
+                .concat(this.cleanParam.map(cleanParam => `Clean-param: ${cleanParam}`));
+
+            if (typeof this.host !== 'undefined') globalLines.push(`Host: ${this.host}`);
+
+            if (globalLines.length > 0) sections.push(globalLines);
+
+            return sections.map(lines => `${lines.join('\n')}\n`).join('\n');
+        }
+
+        /**
+         * Serialize parsed robots.txt into canonical robots.txt text
+         * @return {string} - Canonical robots.txt content
+         */
+        toString() {
+            return this.serialize();
+        }
+
+        /**
+         * Serialize group directives, except User-agent, in canonical order
+         * @private
+         * @param {Group} group - Group to serialize
+         * @param {Object} settings - Serialization options
+         * @return {string[]} - Directive lines
+         */
+        serializeGroup(group, settings) {
+            /** @type {string[]} */
+            const lines = [];
+
+            if (settings.comments) {
+                group.getComment().forEach(comment => lines.push(`Comment: ${comment}`));
+            }
+
+            if (typeof group.getRobotVersion() !== 'undefined') lines.push(`Robot-version: ${group.getRobotVersion()}`);
+            group.getRequestRates().forEach(requestRate => lines.push(`Request-rate: ${requestRate}`));
+            if (typeof group.getVisitTime() !== 'undefined') lines.push(`Visit-time: ${group.getVisitTime()}`);
+            if (typeof group.getCrawlDelay() !== 'undefined') lines.push(`Crawl-delay: ${group.getCrawlDelay()}`);
+            if (typeof group.getCacheDelay() !== 'undefined') lines.push(`Cache-delay: ${group.getCacheDelay()}`);
+
+            group.getRules().forEach(rule => {
+                // Encode whitespace so that decoded paths are not cut by inline comments
+                const path = rule.path.replace(WHITESPACE, encodeURIComponent);
+
+                lines.push(`${DIRECTIVE_NAMES[rule.type]}: ${path}`);
+            });
+
+            return lines;
+        }
+
+        /**
+         * Get group for specific user agent
+         * @param {string} userAgent - User agent to search for
+         * @return {Group|undefined} - Matching group or undefined
+         */
+        getGroup(userAgent) {
+            if (!userAgent) return undefined;
+
+            for (let index = 0; index < this.groups.length; index++) {
+                const group = this.groups[index];
+
+                if (group.userAgent.toLowerCase() === userAgent.toLowerCase()) {
+                    return group;
+                }
+            }
+
+            return undefined;
+        }
+
+        /**
+         * Calculate rule specificity score for path comparison
+         * @private
+         * @param {string} path - URL path pattern
+         * @return {number} - Specificity score (higher = more specific)
+         */
+        getRuleSpecificity(path) {
+            // RFC 9309: the most specific match is the one with the most octets
+            if (this.options.pathMatching === 'rfc9309') return path.length;
+
+            /** @type {number} */
+            let specificity = path.length;
+            if (path.indexOf('*') !== -1) specificity -= 0.5;
+            else if (path.slice(-1) === '$') specificity += 0.5;
+            return specificity;
+        }
+
+        /**
+         * Get groups applicable to specified user agent
+         * @private
+         * @param {string} userAgent - User agent to check
+         * @return {Group[]} - Array of matching groups
+         */
+        getApplicableGroups(userAgent) {
+            for (const candidate of this.getUserAgentCandidates(userAgent)) {
+                /** @type {Group[]} */
+                const matchingGroups = this.groups.filter(group => this.normalizeGroupName(group.getName()) === candidate);
+                if (matchingGroups.length > 0) return matchingGroups;
+            }
+            return this.groups.filter(group => group.getName() === '*');
+        }
+
+        /**
+         * Get lowercase user agent names to look up groups for with the configured
+         * policy, see getUserAgentCandidates()
+         * @private
+         * @param {string} userAgent - User agent name or full User-Agent header
+         * @return {string[]} - User agent names
+         */
+        getUserAgentCandidates(userAgent) {
+            return getUserAgentCandidates(userAgent, this.options.userAgentMatching);
+        }
+
+        /**
+         * Normalize group user agent name for comparison. Google only takes the
+         * leading product token into account (e.g. "googlebot" for "Googlebot/2.1").
+         * @private
+         * @param {string} name - Group user agent name
+         * @return {string} - Lowercase user agent name
+         */
+        normalizeGroupName(name) {
+            /** @type {string} */
+            const normalizedName = name.toLowerCase();
+
+            if (this.options.userAgentMatching === 'google') {
+                /** @type {string[]|null} */
+                const identifier = normalizedName.match(this.re.identifier);
+
+                if (identifier) return identifier[0];
+            }
+
+            return normalizedName;
+        }
+
+        /**
+         * Get all rules applicable to specified user agent
+         * @private
+         * @param {string} userAgent - User agent to check
+         * @return {Rule[]} - Array of applicable rules
+         */
+        getApplicableRules(userAgent) {
+            /** @type {Rule[]} */
+            const rules = this.getApplicableGroups(userAgent);
+            return rules.reduce((acc, group) => acc.concat(group.getRules()), []);
+        }
+
+        /**
+         * Normalize URL path for comparison
+         * @private
+         * @param {string} url - URL or path to normalize
+         * @return {string} - Normalized path
+         */
+        normalizeUrlPath(url) {
+            if (this.options.pathMatching === 'rfc9309') {
+                return this.encodePath(this.getPathAndQuery(url), false);
+            }
+
+            // Relative paths are used as they are, without the cost of a failing URL parse
+            if (!this.re.scheme.test(url)) return this.normalizePath(url);
+
+            try {
+                return this.normalizePath(new URL(url).pathname);
+            } catch (error) {
+                return this.normalizePath(url);
+            }
+        }
+
+        /**
+         * Normalize rule path pattern according to the path matching mode
+         * @private
+         * @param {string} path - Rule path pattern to normalize
+         * @return {string} - Normalized rule path pattern
+         */
+        normalizeRulePath(path) {
+            if (this.options.pathMatching === 'rfc9309') {
+                /** @type {string} */
+                const encodedPath = this.encodePath(path, true);
+
+                if (encodedPath && encodedPath[0] !== '/') return `/${encodedPath}`;
+
+                return encodedPath;
+            }
+
+            return this.normalizePath(path);
+        }
+
+        /**
+         * Extract path and query from an URL, dropping the fragment
+         * @private
+         * @param {string} url - Absolute URL or relative path
+         * @return {string} - Path and query component of the URL
+         */
+        getPathAndQuery(url) {
+            try {
+                /** @type {URL} */
+                const parsedUrl = new URL(url, 'http://localhost');
+
+                return `${parsedUrl.pathname}${parsedUrl.search}`;
+            } catch (error) {
+                /** @type {number} */
+                const fragmentIndex = url.indexOf('#');
+
+                return fragmentIndex === -1 ? url : url.slice(0, fragmentIndex);
+            }
+        }
+
+        /**
+         * Normalize percent-encoding as described in RFC 9309 section 2.2.2:
+         * unreserved octets are decoded, reserved and non-ASCII octets are
+         * percent-encoded using uppercase hex digits
+         * @private
+         * @param {string} path - Path (and query) to encode
+         * @param {boolean} isPattern - Keep "*" and a trailing "$" as special characters
+         * @return {string} - Encoded path
+         */
+        encodePath(path, isPattern) {
+            return path.replace(this.re.percentEncoding, (match, hex, offset) => {
+                if (hex) {
+                    /** @type {string} */
+                    const decodedChar = String.fromCharCode(parseInt(hex, 16));
+
+                    return this.re.unreserved.test(decodedChar) ? decodedChar : `%${hex.toUpperCase()}`;
+                }
+
+                // Literal "*" and "$" in URLs can only be matched by their encoded form, a "$"
+                // within a pattern is no end anchor and matches the encoded character too
+                if (match === '*' || match === '$') {
+                    /** @type {boolean} */
+                    const isSpecial = isPattern && (match === '*' || offset === path.length - 1);
+
+                    return isSpecial ? match : `%${match.charCodeAt(0).toString(16).toUpperCase()}`;
+                }
+
+                try {
+                    return encodeURIComponent(match);
+                } catch (error) {
+                    return match;
+                }
+            });
+        }
+
+        /**
+         * Normalize path string for consistent comparisons
+         * @private
+         * @param {string} path - URL path to normalize
+         * @return {string} - Normalized path
+         */
+        normalizePath(path) {
+            /** @type {string} */
+            let decodedPath;
+
+            try {
+                decodedPath = decodeURIComponent(path);
+            } catch (error) {
+                decodedPath = path;
+            }
+
+            // Prepend forward slash if path not empty and does not start with
+            // forward slash
+            if (decodedPath && decodedPath[0] !== '/') return `/${decodedPath}`;
+
+            return decodedPath;
+        }
+    }
+
+    /**
+     * Parser of page level robots directives from robots meta tags and X-Robots-Tag headers
+     */
+    class RobotsMetaParser {
+        /**
+         * Create a new robots meta parser
+         * @param {Object} [input] - Page response
+         * @param {Object} [input.headers] - Response headers, Headers object or plain object
+         * @param {string} [input.html] - HTML content
+         * @param {Object} [options] - Parser options
+         * @param {string} [options.userAgentMatching='rfc9309'] - User agent matching policy ('rfc9309', 'google', 'bing' or 'yandex')
+         */
+        constructor(input, options) {
+            /** @member {Object} - Parser options merged with their defaults */
+            this.options = Object.assign({ userAgentMatching: 'rfc9309' }, options);
+            /** @member {Object.<string, Object>} - Directives by lowercase user agent, "*" for all crawlers */
+            this.directives = {};
+
+            const settings = Object.assign({ headers: undefined, html: undefined }, input);
+
+            getHeaderValues(settings.headers, 'x-robots-tag').forEach(value => this.parseDirectiveList(value, '*', true));
+
+            if (typeof settings.html === 'string') this.parseHtml(settings.html);
+        }
+
+        /**
+         * Get the user agents with directives
+         * @return {string[]} - Lowercase user agents, "*" for directives applying to all crawlers
+         */
+        getUserAgents() {
+            return Object.keys(this.directives);
+        }
+
+        /**
+         * Get the directives applying to a user agent: directives for all crawlers
+         * combined with the ones for the user agent, the most restrictive ones win
+         * @param {string} [userAgent] - User agent name or full User-Agent header, directives
+         *                               for all crawlers only if omitted
+         * @return {Object} - Directives, see createMetaDirectives()
+         */
+        getDirectives(userAgent) {
+            /** @type {string[]} */
+            const userAgents = ['*'].concat(userAgent ? getUserAgentCandidates(userAgent, this.options.userAgentMatching) : []);
+
+            return userAgents
+                .filter((name, index) => this.directives[name] && userAgents.indexOf(name) === index)
+                .reduce((directives, name) => mergeMetaDirectives(directives, this.directives[name]), createMetaDirectives());
+        }
+
+        /**
+         * Parse robots meta tags, named "robots" or after a crawler (e.g. "googlebot")
+         * @private
+         * @param {string} html - HTML content
+         */
+        parseHtml(html) {
+            (html.match(META_RE.tag) || []).forEach(tag => {
+                /** @type {Object.<string, string>} */
+                const attributes = {};
+
+                tag.slice('<meta'.length).replace(META_RE.attribute, (match, name, doubleQuoted, singleQuoted, unquoted) => {
+                    attributes[name.toLowerCase()] = [doubleQuoted, singleQuoted, unquoted].filter(value => typeof value !== 'undefined')[0] || '';
+                });
+
+                /** @type {string} */
+                const name = (attributes.name || '').trim().toLowerCase();
+
+                if (typeof attributes.content === 'undefined' || (name !== 'robots' && !META_RE.productToken.test(name))) return;
+
+                this.parseDirectiveList(decodeXmlText(attributes.content), name === 'robots' ? '*' : name, false);
+            });
+        }
+
+        /**
+         * Parse a comma separated directive list
+         * @private
+         * @param {string} list - Directive list, e.g. "noindex, max-snippet: 20"
+         * @param {string} userAgent - User agent the directives apply to
+         * @param {boolean} allowUserAgents - Allow "googlebot: noindex" forms changing the user agent
+         */
+        parseDirectiveList(list, userAgent, allowUserAgents) {
+            /** @type {string} */
+            let target = userAgent;
+            /** @type {Object|undefined} */
+            let previous;
+
+            for (const item of list.split(',')) {
+                /** @type {string} */
+                let text = item.trim();
+                /** @type {number} */
+                const colonIndex = text.indexOf(':');
+                /** @type {string} */
+                const name = (colonIndex === -1 ? text : text.slice(0, colonIndex)).trim().toLowerCase();
+                /** @type {boolean} */
+                const known = this.isDirective(name);
+
+                if (!known && previous && previous.name === 'unavailable_after') {
+                    // Dates such as "Friday, 25-Jun-2010 15:00:00 GMT" contain commas
+                    text = `${previous.text}, ${text}`;
+                }
+                else if (!known && allowUserAgents && colonIndex !== -1 && META_RE.productToken.test(name)) {
+                    target = name;
+                    text = text.slice(colonIndex + 1).trim();
+                }
+
+                previous = this.applyDirective(target, text);
+            }
+        }
+
+        /**
+         * Apply a single directive to the directives of a user agent
+         * @private
+         * @param {string} userAgent - User agent the directive applies to
+         * @param {string} text - Directive with optional value, e.g. "max-snippet: 20"
+         * @return {Object} - Lowercase directive name and text
+         */
+        applyDirective(userAgent, text) {
+            /** @type {number} */
+            const colonIndex = text.indexOf(':');
+            /** @type {string} */
+            const name = (colonIndex === -1 ? text : text.slice(0, colonIndex)).trim().toLowerCase();
+            /** @type {string} */
+            const value = colonIndex === -1 ? '' : text.slice(colonIndex + 1).trim();
+
+            if (!this.isDirective(name)) return { name, text };
+
+            /** @type {Object} */
+            const directive = createMetaDirectives();
+
+            switch (name) {
+                case 'all':
+                    break;
+                case 'none':
+                    directive.noindex = true;
+                    directive.nofollow = true;
+                    break;
+                case 'nocache':
+                    directive.noarchive = true;
+                    break;
+                case 'max-snippet':
+                case 'max-video-preview': {
+                    /** @type {number} */
+                    const limit = parseInt(value, 10);
+
+                    if (limit >= -1) directive[name === 'max-snippet' ? 'maxSnippet' : 'maxVideoPreview'] = limit;
+                    break;
+                }
+                case 'max-image-preview':
+                    if (IMAGE_PREVIEW_SIZES.indexOf(value.toLowerCase()) !== -1) directive.maxImagePreview = value.toLowerCase();
+                    break;
+                case 'unavailable_after': {
+                    /** @type {number} */
+                    const time = Date.parse(value);
+
+                    if (!isNaN(time)) directive.unavailableAfter = time;
+                    break;
+                }
+                default:
+                    directive[name] = true;
+            }
+
+            this.directives[userAgent] = mergeMetaDirectives(this.directives[userAgent] || createMetaDirectives(), directive);
+
+            return { name, text };
+        }
+
+        /**
+         * Check if a name is a known robots meta directive
+         * @private
+         * @param {string} name - Lowercase directive name
+         * @return {boolean} - True if known
+         */
+        isDirective(name) {
+            return META_DIRECTIVES.flags.indexOf(name) !== -1 || META_DIRECTIVES.values.indexOf(name) !== -1 || META_DIRECTIVES.aliases.indexOf(name) !== -1;
+        }
+    }
+
+    /**
+     * Precompiled rules of a single user agent. Group lookup and rule
+     * specificity are computed once, rules are sorted by specificity so that
+     * lookups stop at the first specificity level with a matching rule.
+     */
+    class RobotsTxtMatcher {
+        /**
+         * Create a new matcher
+         * @param {RobotsTxtParser} parser - Parser the rules are compiled from
+         * @param {string} userAgent - User agent to compile rules for
+         */
+        constructor(parser, userAgent) {
+            /** @member {RobotsTxtParser} - Parser used for URL normalization */
+            this.parser = parser;
+
+            /** @type {Rule[]} */
+            const rules = parser.getApplicableRules(userAgent).filter(rule => rule.type !== 'noindex');
+
+            /** @member {Object[]} - Rules with specificity, most specific first, source order on ties */
+            this.entries = rules
+                .filter(rule => rule.path !== '')
+                .map((rule, index) => ({ rule, specificity: parser.getRuleSpecificity(rule.path), index }))
+                .sort((a, b) => b.specificity - a.specificity || a.index - b.index);
+
+            /** @member {Map<string, Object[]>} - Entries keyed by their literal prefix, the pattern part before the first "*" */
+            this.entriesByPrefix = new Map();
+
+            this.entries.forEach(entry => {
+                /** @type {string} */
+                const [prefix] = entry.rule.pattern.segments;
+
+                if (!this.entriesByPrefix.has(prefix)) this.entriesByPrefix.set(prefix, []);
+                this.entriesByPrefix.get(prefix).push(entry);
+            });
+
+            /** @member {number[]} - Lengths of the literal prefixes, ascending */
+            this.prefixLengths = Array.from(this.entriesByPrefix.keys())
+                .map(prefix => prefix.length)
+                .filter((length, index, lengths) => lengths.indexOf(length) === index)
+                .sort((a, b) => a - b);
+        }
+
+        /**
+         * Find the rule deciding access to an URL
+         * @param {string} url - URL to check
+         * @return {Rule|undefined} - Most specific matching rule, undefined if no rule applies
+         */
+        match(url) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+
+            return this.matchPath(this.parser.normalizeUrlPath(url));
+        }
+
+        /**
+         * Find the rule deciding access to a normalized URL path
+         * @private
+         * @param {string} urlPath - URL path normalized by the parser
+         * @return {Rule|undefined} - Most specific matching rule, undefined if no rule applies
+         */
+        matchPath(urlPath) {
+            // RFC 9309: the /robots.txt URI is implicitly allowed
+            if (this.parser.options.pathMatching === 'rfc9309' && urlPath === '/robots.txt') return undefined;
+
+            /** @type {Object|undefined} */
+            let mostSpecific;
+
+            // Only rules whose literal prefix starts the path can match it
+            for (const length of this.prefixLengths) {
+                if (length > urlPath.length) break;
+
+                /** @type {Object[]} - Entries of the prefix, most specific first */
+                const entries = this.entriesByPrefix.get(urlPath.slice(0, length)) || [];
+
+                for (const entry of entries) {
+                    // Less specific entries of the prefix can not win anymore
+                    if (mostSpecific && entry.specificity < mostSpecific.specificity) break;
+
+                    /** @type {boolean} - Same precedence, the rule listed first wins */
+                    const isEarlierTie = mostSpecific && entry.specificity === mostSpecific.specificity &&
+                        entry.rule.type === mostSpecific.rule.type && entry.index < mostSpecific.index;
+
+                    if ((!mostSpecific || isPreferredMatch(entry, mostSpecific) || isEarlierTie) && entry.rule.match(urlPath)) {
+                        mostSpecific = entry;
+                    }
+                }
+            }
+
+            return mostSpecific ? mostSpecific.rule : undefined;
+        }
+
+        /**
+         * Check if a URL is allowed
+         * @param {string} url - URL to check
+         * @return {boolean} - True if allowed, false if disallowed
+         */
+        isAllowed(url) {
+            /** @type {Rule|undefined} */
+            const rule = this.match(url);
+
+            return !rule || rule.type === 'allow';
+        }
+
+        /**
+         * Check if a URL is disallowed
+         * @param {string} url - URL to check
+         * @return {boolean} - True if disallowed, false if allowed
+         */
+        isDisallowed(url) {
+            return !this.isAllowed(url);
+        }
+    }
+
     /**
-     * Single robots.txt rule (allow/disallow directive)
+     * Incremental robots.txt parser, processing lines as string or byte chunks arrive
      */
-    class Rule {
+    class RobotsTxtStreamParser {
         /**
-         * Create a new rule instance
-         * @param {string} type - Rule type ('allow', 'disallow' or 'noindex')
-         * @param {string} path - URL path pattern the rule applies to
+         * Create a new incremental robots.txt parser
+         * @param {Object} [options] - Stream parser options
+         * @param {number} [options.maxSize=512000] - Maximum number of bytes parsed, the line
+         *                                            crossing the limit and all following ones are ignored
+         * @param {Object} [options.parserOptions] - Options of the created parser
+         * @param {boolean} [options.stripBom=false] - Remove a byte order mark at the start of byte chunks,
+         *                                             like the text() method of fetch responses does
          */
-        constructor(type, path) {
-            this.re = {
-                specialChars: /[.^+?(){}[\]|\\]/g, // Escapes special chars
-                nonGreedyWildcard: /\*/g           // Replaces * with .*?
+        constructor(options) {
+            /** @member {Object} - Stream parser options merged with their defaults */
+            this.options = Object.assign({ maxSize: MAX_ROBOTS_TXT_SIZE, parserOptions: undefined, stripBom: false }, options);
+
+            /** @member {RobotsTxtParser} - Parser receiving the lines */
+            this.parser = new RobotsTxtParser(INCREMENTAL_CONTENT, this.options.parserOptions);
+            /** @member {TextDecoder|undefined} - UTF-8 decoder of byte chunks, keeping characters split across chunks */
+            this.decoder = undefined;
+            /** @member {string} - Text of the incomplete last line */
+            this.pending = '';
+            /** @member {number} - 0-based index of the next line */
+            this.lineIndex = 0;
+            /** @member {number} - UTF-8 bytes received */
+            this.receivedBytes = 0;
+            /** @member {number} - UTF-8 bytes of the parsed lines */
+            this.parsedBytes = 0;
+            /** @member {boolean} */
+            this.truncated = false;
+            /** @member {boolean} */
+            this.ended = false;
+
+            this.parser.startParse();
+        }
+
+        /**
+         * Parse a chunk of content
+         * @param {string|Uint8Array} chunk - Text, or UTF-8 bytes such as a Node.js Buffer
+         * @return {RobotsTxtStreamParser} - Stream parser instance
+         */
+        write(chunk) {
+            if (typeof chunk === 'undefined') throw new Error('The "chunk" parameter is required.');
+            if (this.ended) throw new Error('The stream parser has already ended.');
+
+            if (!this.truncated) this.addText(this.decode(chunk, true));
+
+            return this;
+        }
+
+        /**
+         * Parse the last chunk of content and finish parsing
+         * @param {string|Uint8Array} [chunk] - Last chunk
+         * @return {RobotsTxtParser} - Parser, same as robotstxt(content) for the whole content
+         */
+        end(chunk) {
+            if (typeof chunk !== 'undefined') this.write(chunk);
+            if (this.ended) throw new Error('The stream parser has already ended.');
+
+            if (!this.truncated) this.addText(this.decode('', false), true);
+
+            this.ended = true;
+            this.parser.endParse();
+
+            return this.parser;
+        }
+
+        /**
+         * Parse a readable stream to its end, reading stops at the size limit
+         * @param {Object} stream - WHATWG ReadableStream, Node.js readable stream or other
+         *                          (async) iterable of string or byte chunks
+         * @return {Promise<RobotsTxtParser>} - Parser
+         */
+        read(stream) {
+            if (typeof stream === 'undefined') throw new Error('The "stream" parameter is required.');
+
+            /** @type {Object} - Iterator-like reader with next() and an optional return() */
+            let reader;
+
+            if (typeof stream.getReader === 'function') {
+                const streamReader = stream.getReader();
+
+                reader = { next: () => streamReader.read(), return: () => streamReader.cancel() };
+            }
+            else if (typeof Symbol !== 'undefined' && (stream[Symbol.asyncIterator] || stream[Symbol.iterator])) {
+                reader = (stream[Symbol.asyncIterator] || stream[Symbol.iterator]).call(stream);
+            }
+            else {
+                throw new Error('The "stream" parameter must be a ReadableStream or an iterable.');
+            }
+
+            const next = () => Promise.resolve(reader.next()).then(result => {
+                if (result.done) return this.end();
+
+                this.write(result.value);
+
+                if (!this.truncated) return next();
+
+                // The rest of the content is ignored, stop reading it
+                return Promise.resolve(typeof reader.return === 'function' && reader.return()).then(() => this.end());
+            });
+
+            return next();
+        }
+
+        /**
+         * Check if content was ignored because of the size limit
+         * @return {boolean} - True if truncated
+         */
+        isTruncated() {
+            return this.truncated;
+        }
+
+        /**
+         * Decode a chunk to text
+         * @private
+         * @param {string|Uint8Array} chunk - Chunk
+         * @param {boolean} stream - More chunks may follow
+         * @return {string} - Text, including characters completed by a byte chunk
+         */
+        decode(chunk, stream) {
+            if (typeof chunk !== 'string') {
+                if (!this.decoder) this.decoder = new TextDecoder('utf-8', { ignoreBOM: !this.options.stripBom });
+
+                return this.decoder.decode(chunk, { stream });
+            }
+
+            // Flush bytes of an incomplete character left by a previous byte chunk
+            return this.decoder ? this.decoder.decode() + chunk : chunk;
+        }
+
+        /**
+         * Add text, parsing the lines it completes
+         * @private
+         * @param {string} text - Decoded text
+         * @param {boolean} [last=false] - No more text follows
+         */
+        addText(text, last) {
+            this.pending += text;
+            this.receivedBytes += getUtf8Length(text);
+
+            /** @type {Array|null} */
+            let match;
+
+            while ((match = LINE_RE.eol.exec(this.pending))) {
+                /** @type {string} */
+                const [eol] = match;
+
+                // A "\r" at the end of the text may be followed by "\n" in the next chunk
+                if (!last && eol === '\r' && match.index + 1 === this.pending.length) break;
+
+                /** @type {string} */
+                const text = this.pending.slice(0, match.index);
+                /** @type {number} */
+                const bytes = getUtf8Length(text) + eol.length;
+
+                if (this.parsedBytes + bytes > this.options.maxSize) {
+                    this.truncate();
+                    return;
+                }
+
+                this.parser.parseLine(tokenizeLine(text, this.lineIndex++, eol));
+                this.parsedBytes += bytes;
+                this.pending = this.pending.slice(match.index + eol.length);
+            }
+
+            if (this.receivedBytes > this.options.maxSize) {
+                this.truncate();
+                return;
+            }
+
+            if (last) this.parser.parseLine(tokenizeLine(this.pending, this.lineIndex++, ''));
+        }
+
+        /**
+         * Ignore the rest of the content, from the line crossing the size limit on
+         * @private
+         */
+        truncate() {
+            /** @type {Object} */
+            const line = tokenizeLine('', this.lineIndex, '');
+
+            this.parser.addReport('content-truncated', 'warning', `Content is larger than ${this.options.maxSize} bytes, it is ignored from this line on.`, line, 1);
+            this.truncated = true;
+            this.pending = '';
+        }
+    }
+
+    /**
+     * Fetches robots.txt files following RFC 9309 HTTP semantics:
+     *   - 2xx: the file is parsed, content above the size limit is ignored
+     *   - 3xx: redirects are followed up to the redirect limit, then the file is unavailable
+     *   - 4xx: the file is unavailable, everything is allowed
+     *   - 5xx or network error: the file is unreachable, everything is disallowed
+     *     unless a previously fetched copy is cached
+     */
+    class RobotsTxtFetcher {
+        /**
+         * Create a new robots.txt fetcher
+         * @param {Object} [options] - Fetcher options
+         * @param {Function} [options.fetch] - WHATWG fetch compatible function, called with
+         *                                     (url, { redirect: 'manual' }), defaults to global fetch
+         * @param {number} [options.maxRedirects=5] - Maximum number of consecutive redirects
+         * @param {number} [options.maxSize=512000] - Maximum number of bytes parsed
+         * @param {number} [options.cacheTtl=86400000] - Cache expiry in milliseconds
+         * @param {Function} [options.now] - Clock returning the current time in milliseconds
+         * @param {Object} [options.parserOptions] - Options of created parsers
+         */
+        constructor(options) {
+            /** @member {Object} - Fetcher options merged with their defaults */
+            this.options = Object.assign({
+                fetch: typeof fetch === 'function' ? fetch : undefined,
+                maxRedirects: 5,
+                maxSize: MAX_ROBOTS_TXT_SIZE,
+                cacheTtl: 24 * 60 * 60 * 1000,
+                now: () => Date.now(),
+                parserOptions: undefined
+            }, options);
+
+            if (typeof this.options.fetch !== 'function') throw new Error('The "fetch" option is required.');
+
+            /** @member {Object.<string, Object>} - Fetched parsers keyed by robots.txt URL */
+            this.cache = {};
+            /** @member {Object.<string, Promise>} - Requests in progress keyed by robots.txt URL */
+            this.pending = {};
+        }
+
+        /**
+         * Fetch and parse the robots.txt file applying to an URL
+         * @param {string} url - Any URL of the origin, e.g. "https://example.com/page"
+         * @return {Promise<RobotsTxtParser>} - Parser, getSource() tells how it was obtained
+         */
+        fetch(url) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+
+            /** @type {string} */
+            let robotsUrl;
+
+            try {
+                robotsUrl = new URL('/robots.txt', url).href;
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            /** @type {Object|undefined} */
+            const cached = this.cache[robotsUrl];
+            /** @type {number} */
+            const now = this.options.now();
+
+            if (cached && cached.expiresAt > now) return Promise.resolve(cached.parser);
+
+            if (this.pending[robotsUrl]) return this.pending[robotsUrl];
+
+            this.pending[robotsUrl] = this.request(robotsUrl, robotsUrl, 0)
+                .catch(error => ({ state: 'unreachable', status: undefined, url: robotsUrl, redirects: 0, error }))
+                .then(result => {
+                    delete this.pending[robotsUrl];
+
+                    // Keep using the cached copy while the robots.txt is unreachable
+                    if (result.state === 'unreachable' && cached) return cached.parser;
+
+                    return this.createParser(robotsUrl, result, now);
+                });
+
+            return this.pending[robotsUrl];
+        }
+
+        /**
+         * Remove all cached parsers
+         */
+        clear() {
+            this.cache = {};
+        }
+
+        /**
+         * Request an URL, following redirects
+         * @private
+         * @param {string} robotsUrl - Requested robots.txt URL
+         * @param {string} url - URL to request
+         * @param {number} redirects - Number of redirects followed so far
+         * @return {Promise<Object>} - Request result with state, status, final url, redirects,
+         *                             and the parser and truncated flag of 2xx responses
+         */
+        request(robotsUrl, url, redirects) {
+            return this.options.fetch(url, { redirect: 'manual' }).then(response => {
+                const result = { state: 'unreachable', status: response.status, url, redirects };
+
+                if (response.status >= 200 && response.status < 300) {
+                    // Relative Sitemap URLs and their host are relative to the redirect target
+                    /** @type {RobotsTxtStreamParser} */
+                    const streamParser = new RobotsTxtStreamParser({
+                        maxSize: this.options.maxSize,
+                        parserOptions: Object.assign({ url }, this.options.parserOptions),
+                        stripBom: true
+                    });
+
+                    // Stream the body so that content above the size limit is never downloaded,
+                    // responses without body stream are read as a whole
+                    const parsed = response.body ? streamParser.read(response.body) : response.text().then(text => streamParser.end(text));
+
+                    return parsed.then(parser => Object.assign(result, { state: 'ok', parser, truncated: streamParser.isTruncated() }));
+                }
+
+                if (response.status >= 300 && response.status < 400) {
+                    /** @type {string|null} */
+                    const location = response.headers.get('location');
+
+                    if (!location || redirects >= this.options.maxRedirects) return Object.assign(result, { state: 'unavailable' });
+
+                    return this.request(robotsUrl, new URL(location, url).href, redirects + 1);
+                }
+
+                if (response.status >= 400 && response.status < 500) return Object.assign(result, { state: 'unavailable' });
+
+                return result;
+            });
+        }
+
+        /**
+         * Create a parser from a request result
+         * @private
+         * @param {string} robotsUrl - Requested robots.txt URL
+         * @param {Object} result - Request result
+         * @param {number} now - Current time in milliseconds
+         * @return {RobotsTxtParser} - Parser
+         */
+        createParser(robotsUrl, result, now) {
+            /** @type {RobotsTxtParser} */
+            const parser = result.parser || new RobotsTxtParser(
+                result.state === 'unreachable' ? 'User-agent: *\nDisallow: /' : '',
+                Object.assign({ url: result.url }, this.options.parserOptions)
+            );
+
+            parser.source = {
+                url: robotsUrl,
+                finalUrl: result.url,
+                status: result.status,
+                state: result.state,
+                redirects: result.redirects,
+                truncated: Boolean(result.truncated),
+                fetchedAt: now,
+                expiresAt: now + this.options.cacheTtl,
+                error: result.error
             };
-            /** @member {string} */
-            this.type = type;
-            /** @member {string} */
-            this.path = path;
-            /** @member {string} */
-            this.regex = this.createRegex(path);
+
+            // Unreachable robots.txt files are requested again next time
+            if (result.state !== 'unreachable') {
+                this.cache[robotsUrl] = { parser, expiresAt: parser.source.expiresAt };
+            }
+
+            return parser;
+        }
+    }
+
+    /**
+     * Walker of XML sitemaps, following sitemap index files breadth-first
+     */
+    class SitemapWalker {
+        /**
+         * Create a new sitemap walker
+         * @param {Object} [options] - Walker options
+         * @param {Function} [options.fetch] - WHATWG fetch compatible function, defaults to global fetch
+         * @param {number} [options.maxDepth=3] - Maximum number of nested sitemap index levels followed
+         * @param {number} [options.maxSitemaps=1000] - Maximum number of sitemaps requested
+         */
+        constructor(options) {
+            /** @member {Object} - Walker options merged with their defaults */
+            this.options = Object.assign({
+                fetch: typeof fetch === 'function' ? fetch : undefined,
+                maxDepth: 3,
+                maxSitemaps: 1000
+            }, options);
+
+            if (typeof this.options.fetch !== 'function') throw new Error('The "fetch" option is required.');
         }
 
         /**
-         * Test if a normalized URL path matches this rule's pattern
-         * @param {string} path - Normalized URL path to test against
-         * @return {boolean} - True if the path matches the rule's pattern
+         * Walk sitemaps and sitemap index files, each URL is requested once
+         * @param {RobotsTxtParser|string|string[]} input - Parser whose sitemap entries are walked, or sitemap URLs
+         * @return {Promise<Object>} - Walk result:
+         *                               - urls: page entries with loc, lastmod, changefreq, priority and their sitemap URL
+         *                               - sitemaps: requested sitemaps with url, type ('index', 'urlset' or undefined),
+         *                                 depth, HTTP status and error
+         */
+        walk(input) {
+            if (typeof input === 'undefined') throw new Error('The "input" parameter is required.');
+
+            /** @type {string[]} */
+            const urls = input instanceof RobotsTxtParser ? input.getSitemapEntries().map(entry => entry.url) : [].concat(input);
+            const result = { urls: [], sitemaps: [] };
+            /** @type {Object.<string, boolean>} */
+            const seen = {};
+            /** @type {Object[]} */
+            const queue = urls.map(url => ({ url, depth: 0 }));
+
+            const next = () => {
+                /** @type {Object|undefined} */
+                const item = queue.shift();
+
+                if (!item || result.sitemaps.length >= this.options.maxSitemaps) return Promise.resolve(result);
+                if (seen[item.url]) return next();
+
+                seen[item.url] = true;
+
+                const sitemap = { url: item.url, type: undefined, depth: item.depth, status: undefined, error: undefined };
+
+                result.sitemaps.push(sitemap);
+
+                return Promise.resolve()
+                    .then(() => this.options.fetch(item.url))
+                    .then(response => {
+                        sitemap.status = response.status;
+
+                        if (response.status < 200 || response.status >= 300) throw new Error(`Unexpected HTTP status ${response.status}.`);
+
+                        return response.text();
+                    })
+                    .then(text => {
+                        const document = parseSitemapXml(text);
+
+                        sitemap.type = document.type;
+
+                        if (typeof document.type === 'undefined') throw new Error('Not a sitemap or sitemap index document.');
+
+                        if (document.type === 'urlset') {
+                            document.entries.forEach(entry => result.urls.push(Object.assign(entry, { sitemap: item.url })));
+                            return;
+                        }
+
+                        if (item.depth >= this.options.maxDepth) throw new Error(`Sitemap index nested deeper than ${this.options.maxDepth} levels.`);
+
+                        document.entries.forEach(entry => {
+                            try {
+                                queue.push({ url: new URL(entry.loc, item.url).href, depth: item.depth + 1 });
+                            } catch (error) {
+                                // Invalid sitemap locations are skipped
+                            }
+                        });
+                    })
+                    .catch(error => {
+                        sitemap.error = error;
+                    })
+                    .then(next);
+            };
+
+            return next();
+        }
+    }
+
+    /**
+     * Registry of robots.txt parsers keyed by origin (scheme, host and port),
+     * answering access checks for absolute URLs of any registered origin
+     */
+    class RobotsRegistry {
+        /**
+         * Create a new registry
+         * @param {Object} [options] - Registry options
+         * @param {string} [options.missing='allow'] - Decision for origins without parser ('allow' or 'disallow')
+         */
+        constructor(options) {
+            /** @member {Object} - Registry options merged with their defaults */
+            this.options = Object.assign({ missing: 'allow' }, options);
+
+            if (['allow', 'disallow'].indexOf(this.options.missing) === -1) {
+                throw new Error('The "missing" option must be one of: allow, disallow.');
+            }
+
+            /** @member {Object.<string, RobotsTxtParser>} - Parsers keyed by origin */
+            this.parsers = {};
+        }
+
+        /**
+         * Register the parser of an origin
+         * @param {string} url - Any absolute URL of the origin, e.g. "https://example.com/robots.txt"
+         * @param {RobotsTxtParser} parser - Parser of the origin robots.txt
+         * @return {RobotsRegistry} - Registry instance
+         */
+        set(url, parser) {
+            if (typeof parser === 'undefined') throw new Error('The "parser" parameter is required.');
+
+            this.parsers[this.getOrigin(url)] = parser;
+
+            return this;
+        }
+
+        /**
+         * Get the parser of an origin
+         * @param {string} url - Any absolute URL of the origin
+         * @return {RobotsTxtParser|undefined} - Registered parser or undefined
+         */
+        get(url) {
+            return this.parsers[this.getOrigin(url)];
+        }
+
+        /**
+         * Check if an origin has a registered parser
+         * @param {string} url - Any absolute URL of the origin
+         * @return {boolean} - True if a parser is registered
+         */
+        has(url) {
+            return typeof this.get(url) !== 'undefined';
+        }
+
+        /**
+         * Remove the parser of an origin
+         * @param {string} url - Any absolute URL of the origin
+         * @return {boolean} - True if a parser was removed
+         */
+        delete(url) {
+            /** @type {string} */
+            const origin = this.getOrigin(url);
+            /** @type {boolean} */
+            const found = typeof this.parsers[origin] !== 'undefined';
+
+            delete this.parsers[origin];
+
+            return found;
+        }
+
+        /**
+         * Remove all parsers
+         */
+        clear() {
+            this.parsers = {};
+        }
+
+        /**
+         * Get registered origins
+         * @return {string[]} - Origins, e.g. "https://example.com:8080"
+         */
+        getOrigins() {
+            return Object.keys(this.parsers);
+        }
+
+        /**
+         * Check if an absolute URL is allowed for specified user agent, using
+         * the parser registered for the URL origin
+         * @param {string} url - Absolute URL to check
+         * @param {string} userAgent - User agent to check rules for
+         * @return {boolean} - True if allowed, false if disallowed
+         */
+        isAllowed(url, userAgent) {
+            if (typeof userAgent === 'undefined') throw new Error('The "userAgent" parameter is required.');
+
+            /** @type {RobotsTxtParser|undefined} */
+            const parser = this.get(url);
+
+            if (!parser) return this.options.missing === 'allow';
+
+            return parser.isAllowed(url, userAgent);
+        }
+
+        /**
+         * Check if an absolute URL is disallowed for specified user agent
+         * @param {string} url - Absolute URL to check
+         * @param {string} userAgent - User agent to check rules for
+         * @return {boolean} - True if disallowed, false if allowed
          */
-        match(path) {
-            return this.regex.test(path);
+        isDisallowed(url, userAgent) {
+            return !this.isAllowed(url, userAgent);
         }
 
         /**
-         * Convert robots.txt path pattern to regular expression
+         * Get the origin key of an URL. Schemes are kept apart and default
+         * ports are omitted, e.g. "http://example.com:80/" gives "http://example.com".
          * @private
-         * @param {string} path - Normalized URL path pattern to convert
-         * @return {RegExp} - Regular expression for path matching
+         * @param {string} url - Absolute URL
+         * @return {string} - Origin
          */
-        createRegex(path) {
-            let pattern = path
-                .replace(this.re.specialChars, '\\$&')
-                .replace(this.re.nonGreedyWildcard, '.*?');
+        getOrigin(url) {
+            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
 
-            // Handle end-of-string matching if $ is at the end
-            if (pattern.slice(-1) === '\\$') {
-                pattern = `${pattern.slice(0, -2)}$`;
-            }
+            /** @type {string} */
+            let origin = 'null';
 
             try {
-                return new RegExp(`^${pattern}`);
+                ({ origin } = new URL(url));
             } catch (error) {
-                throw new SyntaxError(`Invalid path pattern "${path}" for regex creation: ${error.message}`);
+                // Relative or invalid URL
             }
+
+            if (origin === 'null') throw new Error(`The "url" parameter must be an absolute URL with origin: "${url}".`);
+
+            return origin;
         }
     }
 
     /**
-     * Group of rules for a specific user agent
+     * Politeness scheduler combining Crawl-delay, Request-rate and Visit-time
+     * of a group. Time windows are evaluated in UTC.
      */
-    class Group {
+    class CrawlScheduler {
         /**
-         * Create a new user agent group
-         * @param {string} userAgent - User agent string this group applies to
+         * Create a new crawl scheduler
+         * @param {Group} group - Group of the crawling user agent
+         * @param {Object} [options] - Scheduler options
+         * @param {Function} [options.clock] - Clock returning the current time in milliseconds
          */
-        constructor(userAgent) {
-            /** @member {string} - User agent identifier for this group */
-            this.userAgent = userAgent;
-            /** @member {number|undefined} - Delay between crawler requests in seconds */
-            this.crawlDelay = undefined;
-            /** @member {number|undefined} - Specifies the minimum interval for a robot to wait after caching one page, before starting to cache another in seconds */
-            this.cacheDelay = undefined;
-            /** @member {Rule[]} - Collection of rules for this user agent */
-            this.rules = [];
-            /** @member {string} - Optional comment associated with the group */
-            this.comment = [];
-            /** @member {string|undefined} - Version of robots.txt specification used */
-            this.robotVersion = undefined;
-            /** @member {string|undefined} - Recommended visit time from robots.txt */
-            this.visitTime = undefined;
-            /** @member {string[]} - Request rate limits for this user agent */
-            this.requestRates = [];
+        constructor(group, options) {
+            if (typeof group === 'undefined') throw new Error('The "group" parameter is required.');
+
+            /** @member {Object} - Scheduler options merged with their defaults */
+            this.options = Object.assign({ clock: () => Date.now() }, options);
+            /** @member {number} - Minimum delay between fetches in milliseconds */
+            this.crawlDelay = (group.getCrawlDelay() || 0) * 1000;
+            /** @member {Object[]} - Request rates with their optional time window */
+            this.requestRates = group.getParsedRequestRates();
+            /** @member {Object|undefined} - Time window fetches are allowed in */
+            this.visitTime = group.getParsedVisitTime();
+            /** @member {number[]} - Times of recorded fetches in milliseconds, ascending */
+            this.fetches = [];
         }
 
         /**
-         * Get the user agent name for this group
-         * @return {string} User agent identifier
+         * Record a fetch
+         * @param {number} [time] - Fetch time in milliseconds, defaults to the current time
+         * @return {CrawlScheduler} - Scheduler instance
          */
-        getName() {
-            return this.userAgent;
+        recordFetch(time) {
+            /** @type {number} */
+            const fetchTime = typeof time === 'undefined' ? this.options.clock() : time;
+            /** @type {number} - Fetches older than the longest period do not matter anymore */
+            const maxPeriod = this.requestRates.reduce((max, requestRate) => Math.max(max, requestRate.seconds * 1000), this.crawlDelay);
+
+            this.fetches.push(fetchTime);
+            this.fetches.sort((a, b) => a - b);
+            this.fetches = this.fetches.filter((fetch, index) => fetch > fetchTime - maxPeriod || index === this.fetches.length - 1);
+
+            return this;
         }
 
         /**
-         * Get the comment associated with this group
-         * @return {string[]} Group comment if available
+         * Get the earliest time the next fetch is allowed at
+         * @return {number} - Time in milliseconds, the current time if a fetch is allowed now
          */
-        getComment() {
-            return this.comment;
+        nextAllowedFetchTime() {
+            /** @type {number} */
+            let time = this.options.clock();
+
+            // Each constraint may push the time into another time window, repeat until stable
+            for (let iteration = 0; iteration < 100; iteration++) {
+                /** @type {number} */
+                const previousTime = time;
+                /** @type {number|undefined} */
+                const lastFetch = this.fetches[this.fetches.length - 1];
+
+                if (this.crawlDelay && typeof lastFetch !== 'undefined') {
+                    time = Math.max(time, lastFetch + this.crawlDelay);
+                }
+
+                if (this.visitTime && !isInTimeWindow(this.visitTime, time)) {
+                    time = getNextTimeWindowStart(this.visitTime, time);
+                }
+
+                for (const requestRate of this.requestRates) {
+                    if (requestRate.window && !isInTimeWindow(requestRate.window, time)) continue;
+
+                    /** @type {number} */
+                    const period = requestRate.seconds * 1000;
+                    /** @type {number[]} - Fetches within the period ending at time */
+                    const recentFetches = this.fetches.filter(fetch => fetch > time - period);
+
+                    if (recentFetches.length >= requestRate.requests) {
+                        // Wait until enough fetches left the period, or the rate stops applying
+                        const waitUntil = recentFetches[recentFetches.length - requestRate.requests] + period;
+
+                        time = requestRate.window ? Math.min(waitUntil, getNextTimeWindowEnd(requestRate.window, time)) : waitUntil;
+                    }
+                }
+
+                if (time === previousTime) break;
+            }
+
+            return time;
         }
 
         /**
-         * Get the robots.txt specification version
-         * @return {string|undefined} Version number of robots.txt specification
+         * Check if a fetch is allowed now
+         * @return {boolean} - True if a fetch is allowed at the current time
          */
-        getRobotVersion() {
-            return this.robotVersion;
+        canFetchNow() {
+            return this.nextAllowedFetchTime() <= this.options.clock();
         }
+    }
 
+    /**
+     * Fluent builder composing robots.txt content programmatically
+     */
+    class RobotsTxtBuilder {
         /**
-         * Get the recommended visit time for crawler
-         * @return {string|undefined} Suggested crawl time window
+         * Create a new robots.txt builder
+         * @param {Object} [options] - Parser options used by build()
          */
-        getVisitTime() {
-            return this.visitTime;
+        constructor(options) {
+            /** @member {Object|undefined} - Parser options used by build() */
+            this.options = options;
+            /** @member {Object[]} - User agent blocks with their directive lines */
+            this.blocks = [];
+            /** @member {string[]} - Sitemap, Clean-param and Host lines */
+            this.globalLines = [];
+            /** @member {Object|undefined} - Block receiving group directives */
+            this.currentBlock = undefined;
         }
 
         /**
-         * Get request rate limitations for this group
-         * @return {string[]} Array of request rate rules
+         * Start a new group for one or more user agents
+         * @param {string|string[]} userAgents - User agent name(s)
+         * @return {RobotsTxtBuilder} - Builder instance
          */
-        getRequestRates() {
-            return this.requestRates;
+        group(userAgents) {
+            /** @type {string[]} */
+            const userAgentList = [].concat(userAgents);
+
+            if (userAgentList.length === 0) throw new Error('The "userAgents" parameter is required.');
+
+            userAgentList.forEach(userAgent => this.assertValue('userAgents', userAgent));
+
+            this.currentBlock = { userAgents: userAgentList, lines: [] };
+            this.blocks.push(this.currentBlock);
+
+            return this;
         }
 
         /**
-         * Get crawl delay setting for this group
-         * @return {number|undefined} Delay between requests in seconds
+         * Add an Allow rule to the current group
+         * @param {string} path - URL path pattern
+         * @return {RobotsTxtBuilder} - Builder instance
          */
-        getCacheDelay() {
-            return this.cacheDelay;
+        allow(path) {
+            return this.addRule('allow', path);
         }
 
         /**
-         * Get crawl delay setting for this group
-         * @return {number|undefined} Delay between requests in seconds
+         * Add a Disallow rule to the current group
+         * @param {string} path - URL path pattern
+         * @return {RobotsTxtBuilder} - Builder instance
          */
-        getCrawlDelay() {
-            return this.crawlDelay;
+        disallow(path) {
+            return this.addRule('disallow', path);
         }
 
         /**
-         * Get all rules for this group
-         * @return {Rule[]} Array of rule objects
+         * Add a Noindex rule to the current group
+         * @param {string} path - URL path pattern
+         * @return {RobotsTxtBuilder} - Builder instance
          */
-        getRules() {
-            return this.rules;
+        noindex(path) {
+            return this.addRule('noindex', path);
         }
 
         /**
-         * Internal method to add a rule
-         * @param {string} type - Rule type ('allow', 'disallow', 'noindex')
-         * @param {string} path - URL path pattern
+         * Set Crawl-delay of the current group
+         * @param {number} seconds - Delay between requests in seconds
+         * @return {RobotsTxtBuilder} - Builder instance
          */
-        addRule(type, path) {
-            if (typeof type === 'undefined') throw new Error('The "type" parameter is required.');
-            if (typeof path === 'undefined') throw new Error('The "path" parameter is required.');
-            this.rules.push(new Rule(type, path));
+        crawlDelay(seconds) {
+            return this.addGroupLine('Crawl-delay', seconds);
         }
-    }
 
-    /**
-     * The robots.txt parser class
-     */
-    class RobotsTxtParser {
         /**
-         * Create a new robots.txt parser
-         * @param {string} content - Raw robots.txt content to parse
+         * Set Cache-delay of the current group
+         * @param {number} seconds - Delay between caching pages in seconds
+         * @return {RobotsTxtBuilder} - Builder instance
          */
-        constructor(content) {
-            /**
-             * @private
-             * @type {Group[]}
-             * @description Collection of user agent groups containing access rules.
-             *              Represents all parsed User-agent sections from robots.txt
-             */
-            this.groups = [];
-
-            /**
-             * @private
-             * @type {string[]}
-             * @description Array of absolute URLs to sitemaps specified in robots.txt.
-             *              Collected from Sitemap directives across the entire file.
-             */
-            this.sitemaps = [];
-
-            /**
-             * @private
-             * @type {string[]}
-             * @description Collection of Clean-param directive values specifying
-             *              dynamic parameters that should be ignored during URL
-             *              canonicalization. These typically include tracking
-             *              parameters, session IDs, or other URL-specific values
-             *              that don't affect content.
-             */
-            this.cleanParam = [];
-
-            /**
-             * @private
-             * @type {string|undefined}
-             * @description Preferred canonical host declaration from Host directive, used to:
-             *                - Specify the primary domain when multiple mirrors exist
-             *                - Handle internationalization/country targeting (ccTLDs)
-             *                - Enforce consistent domain (with/without www) for search engines
-             */
-            this.host = undefined;
-
-            /**
-             * @private
-             * @type {string[]}
-             * @description Parsing error, warning etc. reports
-             */
-            this.reports = [];
-
-            this.re = {
-                robotVersion: /^(\d+)(?:\.(\d+))*$/,
-                requestRate: /^\d+\/\d+[smh]?\s+(\d{4})-(\d{4})$/,
-                visitTime: /^(\d{4})-(\d{4})$/,
-                eol: /\r\n|\r|\n/,
-                inlineComment: /(?:\s|^)#/
-            };
-
-            this.parse(content);
+        cacheDelay(seconds) {
+            return this.addGroupLine('Cache-delay', seconds);
         }
 
         /**
-         * Parse raw robots.txt content into structured format
-         * @private
-         * @param {string} content - Raw robots.txt content
+         * Add a Request-rate to the current group
+         * @param {string} requestRate - Request rate (e.g. "1/10m 1300-1659")
+         * @return {RobotsTxtBuilder} - Builder instance
          */
-        parse(content) {
-            if (typeof content === 'undefined') throw new Error('The "content" parameter is required.');
-
-            /** @type {string[]} */
-            const normalizedContent = [];
+        requestRate(requestRate) {
+            return this.addGroupLine('Request-rate', requestRate);
+        }
 
-            const contentLines = content.split(this.re.eol);
+        /**
+         * Set Visit-time of the current group
+         * @param {string} visitTime - Visit time window (e.g. "0600-0845")
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        visitTime(visitTime) {
+            return this.addGroupLine('Visit-time', visitTime);
+        }
 
-            for (let index = 0; index < contentLines.length; index++) {
-                /** @type {string}  - Trimed robots.txt line */
-                const processedLine = contentLines[index].trim();
+        /**
+         * Add a Comment to the current group
+         * @param {string} comment - Comment text
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        comment(comment) {
+            return this.addGroupLine('Comment', comment);
+        }
 
-                if (!processedLine || processedLine[0] === '#') continue;
+        /**
+         * Set Robot-version of the current group
+         * @param {string} version - Robots.txt specification version
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        robotVersion(version) {
+            return this.addGroupLine('Robot-version', version);
+        }
 
-                /** @type {number} - directive:value separated using colon character */
-                const colonIndex = processedLine.indexOf(':');
+        /**
+         * Add a Sitemap directive
+         * @param {string} url - Sitemap URL
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        sitemap(url) {
+            return this.addGlobalLine('Sitemap', url);
+        }
 
-                if (colonIndex === -1) continue;
+        /**
+         * Add a Clean-param directive
+         * @param {string} cleanParam - Parameters and optional path prefix (e.g. "ref&utm_source /catalog/")
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        cleanParam(cleanParam) {
+            return this.addGlobalLine('Clean-param', cleanParam);
+        }
 
-                /** @type {string} - trimmed, lowercase directive */
-                const directive = processedLine.slice(0, colonIndex).trim().toLowerCase();
+        /**
+         * Add a Host directive
+         * @param {string} host - Preferred host name
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        host(host) {
+            return this.addGlobalLine('Host', host);
+        }
 
-                /** @type {string} - trimmed directive value */
-                let value = processedLine.slice(colonIndex + 1).trim();
+        /**
+         * Render robots.txt content
+         * @return {string} - robots.txt content
+         */
+        toString() {
+            // Groups without directives go last, otherwise parsing would
+            // merge their User-agent lines into the following group
+            const sections = this.blocks
+                .filter(block => block.lines.length > 0)
+                .concat(this.blocks.filter(block => block.lines.length === 0))
+                .map(block => block.userAgents.map(userAgent => `User-agent: ${userAgent}`).concat(block.lines));
 
-                /** @type {number} - directive value comment index */
-                const commentIndex = value.search(this.re.inlineComment);
+            if (this.globalLines.length > 0) sections.push(this.globalLines);
 
-                if (commentIndex !== -1) {
-                    // Remove inline comment
-                    value = value.slice(0, commentIndex).trim();
-                }
+            return sections.map(lines => `${lines.join('\n')}\n`).join('\n');
+        }
 
-                // Make sure that directive and value is set
-                if (directive && value) {
-                    normalizedContent.push({ index, directive, value });
-                }
-            }
+        /**
+         * Build a robots.txt parser from the composed directives
+         * @return {RobotsTxtParser} - Configured parser instance
+         */
+        build() {
+            return new RobotsTxtParser(this.toString(), this.options);
+        }
 
-            /** @type {string[]} */
-            let userAgentList = [];
-            /** @type {boolean} */
-            let sameUserAgent = false;
-            /** @type {boolean} */
-            let userAgentSeen = false;
-            /** @type {Object.<string, Group>} */
-            const tempGroups = {};
-
-            /** @type {string} - Array of directives which require at least one User-Agent present. */
-            const uaDirectives = [
-                'allow',
-                'disallow',
-                'noindex',
-                'comment',
-                'robot-version',
-                'request-rate',
-                'visit-time',
-                'cache-delay',
-                'crawl-delay'
-            ];
-
-            // Process each directive and build rule groups
-            for (let index = 0; index < normalizedContent.length; index++) {
-                /** @type {Object.<string, string>} */
-                const currentLine = normalizedContent[index];
+        /**
+         * Add a rule to the current group
+         * @private
+         * @param {string} type - Rule type ('allow', 'disallow' or 'noindex')
+         * @param {string} path - URL path pattern
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        addRule(type, path) {
+            this.assertValue('path', path);
 
-                /** @type {boolean} */
-                const needsDefaultUa = uaDirectives.indexOf(currentLine.directive) !== -1 && !userAgentSeen;
+            /** @type {number} */
+            const maxPatternLength = this.options && this.options.maxPatternLength || MAX_PATTERN_LENGTH;
 
-                if (currentLine.directive === 'user-agent' || needsDefaultUa) {
-                    userAgentSeen = true;
+            if (path.length > maxPatternLength) throw new Error(`The "path" parameter must not be longer than ${maxPatternLength} characters.`);
 
-                    const uaName = needsDefaultUa ? '*' : currentLine.value;
+            // Encode whitespace so that paths are not cut by inline comments
+            return this.addGroupLine(DIRECTIVE_NAMES[type], path.replace(WHITESPACE, encodeURIComponent));
+        }
 
-                    if (userAgentList.indexOf(uaName) === -1) {
-                        userAgentList.push(uaName);
-                    }
+        /**
+         * Add a directive line to the current group
+         * @private
+         * @param {string} directive - Directive name
+         * @param {string|number} value - Directive value
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        addGroupLine(directive, value) {
+            if (!this.currentBlock) throw new Error(`A group must be started with group() before adding ${directive} directive.`);
 
-                    if (!tempGroups[uaName]) {
-                        tempGroups[uaName] = new Group(uaName);
-                    }
-                }
+            this.currentBlock.lines.push(this.createLine(directive, value));
 
-                if (currentLine.directive === 'allow') {
-                    const normalizedPath = this.normalizePath(currentLine.value);
+            return this;
+        }
 
-                    userAgentList.forEach(agent => tempGroups[agent].addRule('allow', normalizedPath));
-                    sameUserAgent = true;
-                }
-                else if (currentLine.directive === 'disallow') {
-                    const normalizedPath = this.normalizePath(currentLine.value);
+        /**
+         * Add a directive line outside of groups
+         * @private
+         * @param {string} directive - Directive name
+         * @param {string} value - Directive value
+         * @return {RobotsTxtBuilder} - Builder instance
+         */
+        addGlobalLine(directive, value) {
+            this.globalLines.push(this.createLine(directive, value));
 
-                    userAgentList.forEach(agent => tempGroups[agent].addRule('disallow', normalizedPath));
-                    sameUserAgent = true;
-                }
-                else if (currentLine.directive === 'noindex') {
-                    const normalizedPath = this.normalizePath(currentLine.value);
+            return this;
+        }
 
-                    userAgentList.forEach(agent => tempGroups[agent].addRule('noindex', normalizedPath));
-                    sameUserAgent = true;
-                }
-                // Cache-delay: 10
-                else if (currentLine.directive === 'cache-delay') {
-                    const cacheDelay = currentLine.value * 1;
+        /**
+         * Create a validated directive line
+         * @private
+         * @param {string} directive - Directive name
+         * @param {string|number} value - Directive value
+         * @return {string} - Directive line
+         * @throws {Error} If the value would be reported as invalid, or the directive ignored, by the parser
+         */
+        createLine(directive, value) {
+            this.assertValue(directive, value);
 
-                    if (isNaN(cacheDelay)) {
-                        this.reports.push(`Invalid Cache-delay directive value: "${currentLine.value}".`);
-                        continue;
-                    }
+            /** @type {string} */
+            const line = `${directive}: ${value}`;
+            /** @type {RobotsTxtParser} */
+            const parser = new RobotsTxtParser(`User-agent: *\n${line}`, this.options);
 
-                    if (cacheDelay <= 0) {
-                        this.reports.push(`Cache-delay must be a positive number. The provided value is ${cacheDelay}.`);
-                        continue;
-                    }
+            /** @type {Object|undefined} */
+            const error = parser.getReports()
+                .find(report => report.severity === 'error' || report.code === 'unsupported-directive');
 
-                    userAgentList.forEach(agent => {
-                        if (!tempGroups[agent].cacheDelay) {
-                            tempGroups[agent].cacheDelay = cacheDelay;
-                        }
-                    });
-                    sameUserAgent = true;
-                }
-                // Crawl-delay: 10
-                else if (currentLine.directive === 'crawl-delay') {
-                    const crawlDelay = currentLine.value * 1;
+            if (error && error.code === 'unsupported-directive') {
+                throw new Error(`The ${directive} directive is not supported by the ${parser.options.profile} profile.`);
+            }
 
-                    if (isNaN(crawlDelay)) {
-                        this.reports.push(`Invalid Crawl-Delay directive value: "${currentLine.value}".`);
-                        continue;
-                    }
+            if (error) throw new Error(error.message);
 
-                    if (crawlDelay <= 0) {
-                        this.reports.push(`Crawl-Delay must be a positive number. The provided value is ${crawlDelay}.`);
-                        continue;
-                    }
+            return line;
+        }
 
-                    userAgentList.forEach(agent => {
-                        if (!tempGroups[agent].crawlDelay) {
-                            tempGroups[agent].crawlDelay = crawlDelay;
-                        }
-                    });
-                    sameUserAgent = true;
-                }
-                // Comment: [text]
-                else if (currentLine.directive === 'comment') {
-                    userAgentList.forEach(agent => tempGroups[agent].comment.push(currentLine.value));
-                    sameUserAgent = true;
-                }
-                // Robot-version: 2.0.0
-                else if (currentLine.directive === 'robot-version') {
-                    if (!this.re.robotVersion.test(currentLine.value)) {
-                        this.reports.push(`Invalid Robot-Version directive value: "${currentLine.value}".`);
-                        continue;
-                    }
+        /**
+         * Make sure that a directive value is set and fits on a single line
+         * @private
+         * @param {string} name - Parameter name
+         * @param {string|number} value - Parameter value
+         */
+        assertValue(name, value) {
+            if (typeof value === 'undefined' || String(value).trim() === '') {
+                throw new Error(`The "${name}" parameter is required.`);
+            }
 
-                    userAgentList.forEach(agent => tempGroups[agent].robotVersion = currentLine.value);
-                    sameUserAgent = true;
-                }
-                // Request-rate: <rate> # 100/24h
-                // Request-rate: <rate> <time> '-' <time> # 100/24h 1300-1659
-                else if (currentLine.directive === 'request-rate') {
-                    const requestRateMatch = currentLine.value.match(this.re.requestRate);
-                    if (!requestRateMatch) {
-                        this.reports.push(`Invalid Request-rate directive value: "${currentLine.value}".`);
-                        continue;
-                    }
+            assertSingleLine(name, value);
+        }
+    }
 
-                    if (requestRateMatch[1] && requestRateMatch[2]) {
-                        const startTime = requestRateMatch[1];
-                        const endTime = requestRateMatch[2];
+    /**
+     * Lossless concrete syntax tree of a robots.txt file. Keeps every line,
+     * including comments, blank lines and unknown directives, so that edits
+     * leave untouched lines byte-for-byte identical.
+     */
+    class RobotsTxtDocument {
+        /**
+         * Create a new robots.txt document
+         * @param {string} content - Raw robots.txt content
+         */
+        constructor(content) {
+            if (typeof content === 'undefined') throw new Error('The "content" parameter is required.');
 
-                        if (!this.isValidTime(startTime) || !this.isValidTime(endTime)) {
-                            this.reports.push(`Invalid Request-rate directive start-end time format: "${startTime}-${endTime}".`);
-                            continue;
-                        }
-                    }
+            /** @member {Object[]} - Tokenized lines, see tokenizeLine() */
+            this.lines = splitLines(content).map((line, index) => tokenizeLine(line.text, index, line.eol));
 
-                    userAgentList.forEach(agent => tempGroups[agent].requestRates.push(currentLine.value));
-                    sameUserAgent = true;
-                }
-                // Visit-time: <time> '-' <time>
-                else if (currentLine.directive === 'visit-time') {
-                    const visitTimeMatch = currentLine.value.match(this.re.visitTime);
-                    if (!visitTimeMatch) {
-                        this.reports.push(`Invalid Visit-time directive value: "${currentLine.value}".`);
-                        continue;
-                    }
+            /** @member {string} - End-of-line sequence used for inserted lines */
+            this.eol = (this.lines.find(line => line.eol) || { eol: '\n' }).eol;
+        }
 
-                    if (visitTimeMatch[1] && visitTimeMatch[2]) {
-                        const startTime = visitTimeMatch[1];
-                        const endTime = visitTimeMatch[2];
+        /**
+         * Get all lines of the document
+         * @return {Object[]} - Tokenized lines
+         */
+        getLines() {
+            return this.lines;
+        }
 
-                        if (!this.isValidTime(startTime) || !this.isValidTime(endTime)) {
-                            this.reports.push(`Invalid Visit-time directive start-end time format: "${startTime}-${endTime}".`);
-                            continue;
-                        }
-                    }
+        /**
+         * Add a rule to the last group of a user agent, or to a new group
+         * at the end of the document if the user agent has no group. Groups
+         * shared by several user agents are edited for all of them.
+         * @param {string} userAgent - User agent name
+         * @param {string} type - Rule type ('allow', 'disallow' or 'noindex', case-insensitive)
+         * @param {string} path - URL path pattern
+         * @return {RobotsTxtDocument} - Document instance
+         */
+        addRule(userAgent, type, path) {
+            this.assertRule(userAgent, type, path);
 
-                    userAgentList.forEach(agent => tempGroups[agent].visitTime = currentLine.value);
-                    sameUserAgent = true;
-                }
-                else if (currentLine.directive === 'sitemap') {
-                    this.sitemaps.push(currentLine.value);
-                }
-                // Clean-param: [parameter1]&[parameter2]&[...] [path]
-                else if (currentLine.directive === 'clean-param') {
-                    this.cleanParam.push(currentLine.value);
-                }
-                else if (currentLine.directive === 'host') {
-                    this.host = currentLine.value;
-                }
+            if (path.length > MAX_PATTERN_LENGTH) throw new Error(`The "path" parameter must not be longer than ${MAX_PATTERN_LENGTH} characters.`);
 
-                /** @type {Object.<string, string>} */
-                const nextLine = normalizedContent[index + 1];
+            /** @type {string} */
+            const raw = `${DIRECTIVE_NAMES[type.toLowerCase()]}: ${path}`;
+            /** @type {Object[]} */
+            const blocks = this.getBlocks(userAgent);
 
-                // Reset user agent list on new group
-                if (nextLine && sameUserAgent && nextLine.directive === 'user-agent') {
-                    sameUserAgent = false;
-                    userAgentList = [];
-                }
+            if (blocks.length === 0) {
+                this.appendLines([`User-agent: ${userAgent}`, raw]);
+            } else {
+                this.insertLine(blocks[blocks.length - 1].end, raw);
             }
 
-            this.groups = Object.keys(tempGroups).map(key => tempGroups[key]);
+            return this;
         }
 
         /**
-         * Returns the reports collected during parsing and validating the robots.txt file
-         * @returns {string[]} Parsing error, warning etc. reports
+         * Remove rules with the given type and path from the groups of a user agent
+         * @param {string} userAgent - User agent name
+         * @param {string} type - Rule type ('allow', 'disallow' or 'noindex', case-insensitive)
+         * @param {string} path - URL path pattern, as written in the document
+         * @return {RobotsTxtDocument} - Document instance
          */
-        getReports() {
-            return this.reports;
+        removeRule(userAgent, type, path) {
+            this.assertRule(userAgent, type, path);
+
+            /** @type {string} */
+            const directive = type.toLowerCase();
+            /** @type {Object[]} */
+            const blocks = this.getBlocks(userAgent);
+            /** @type {Object[]} */
+            const removedLines = [];
+
+            blocks.forEach(block => block.members.forEach(line => {
+                if (line.directive === directive && line.value === path) removedLines.push(line);
+            }));
+
+            this.removeMembers(blocks, removedLines);
+
+            return this;
         }
 
         /**
-         * Check if a URL is allowed for specified user agent
-         * @param {string} url - URL to check
-         * @param {string} userAgent - User agent to check rules for
-         * @return {boolean} - True if allowed, false if disallowed
+         * Set Crawl-delay for the groups of a user agent. Existing Crawl-delay
+         * lines keep their formatting and inline comments.
+         * @param {string} userAgent - User agent name
+         * @param {number|undefined} seconds - Delay in seconds, undefined removes Crawl-delay
+         * @return {RobotsTxtDocument} - Document instance
          */
-        isAllowed(url, userAgent) {
-            if (typeof url === 'undefined') throw new Error('The "url" parameter is required.');
+        setCrawlDelay(userAgent, seconds) {
             if (typeof userAgent === 'undefined') throw new Error('The "userAgent" parameter is required.');
+            assertSingleLine('userAgent', userAgent);
+            if (typeof seconds !== 'undefined' && !(seconds > 0)) throw new Error('The "seconds" parameter must be a positive number.');
 
-            /** @type {Rule[]} */
-            const rules = this.getApplicableRules(userAgent);
-
-            /** @type {string} */
-            const urlPath = this.normalizeUrlPath(url);
+            /** @type {Object[]} */
+            const blocks = this.getBlocks(userAgent);
+            /** @type {Object[]} */
+            const crawlDelayLines = [];
 
-            /** @type {Rule[]} */
-            const matchingRules = [];
+            blocks.forEach(block => block.members.forEach(line => {
+                if (line.directive === 'crawl-delay') crawlDelayLines.push(line);
+            }));
 
-            for (const rule of rules) {
-                if (rule.match(urlPath)) {
-                    matchingRules.push(rule);
-                }
+            if (typeof seconds === 'undefined') {
+                this.removeMembers(blocks, crawlDelayLines);
+            } else if (crawlDelayLines.length > 0) {
+                crawlDelayLines.forEach(line => this.replaceValue(line, String(seconds)));
+            } else if (blocks.length > 0) {
+                this.insertLine(blocks[0].userAgentEnd, `Crawl-delay: ${seconds}`);
+            } else {
+                this.appendLines([`User-agent: ${userAgent}`, `Crawl-delay: ${seconds}`]);
             }
 
-            if (matchingRules.length === 0) return true;
+            return this;
+        }
 
-            // Special case for empty Disallow rule
-            const emptyDisallowRule = rules.find(r => r.type === 'disallow' && r.path === '');
-            if (emptyDisallowRule) {
-                // Empty Disallow means "allow all"
-                return true;
-            }
+        /**
+         * Render the document
+         * @return {string} - robots.txt content
+         */
+        toString() {
+            return this.lines.map(line => `${line.raw}${line.eol}`).join('');
+        }
 
-            // Find most specific rule
-            let mostSpecific = matchingRules[0];
-            for (const rule of matchingRules) {
-                const currentSpecificity = this.getRuleSpecificity(rule.path);
-                const mostSpecificSpecificity = this.getRuleSpecificity(mostSpecific.path);
+        /**
+         * Create a parser from the document
+         * @param {Object} [options] - Parser options
+         * @return {RobotsTxtParser} - Configured parser instance
+         */
+        toParser(options) {
+            return new RobotsTxtParser(this.toString(), options);
+        }
 
-                if (currentSpecificity > mostSpecificSpecificity) {
-                    mostSpecific = rule;
-                }
-                // If equal specificity but this is an Allow (and current most specific is Disallow)
-                else if (currentSpecificity === mostSpecificSpecificity &&
-                    rule.type === 'allow' && mostSpecific.type === 'disallow') {
-                    // Prefer Allow rule (least restrictive) in case of equal specificity
-                    mostSpecific = rule;
-                }
+        /**
+         * Validate the parameters of a rule edit
+         * @private
+         * @param {string} userAgent - User agent name
+         * @param {string} type - Rule type
+         * @param {string} path - URL path pattern
+         * @throws {Error} If a parameter is missing, the type is unknown or a value does not fit on a single line
+         */
+        assertRule(userAgent, type, path) {
+            if (typeof userAgent === 'undefined') throw new Error('The "userAgent" parameter is required.');
+            if (typeof type !== 'string' || RULE_DIRECTIVES.indexOf(type.toLowerCase()) === -1) {
+                throw new Error(`The "type" parameter must be one of: ${RULE_DIRECTIVES.join(', ')}.`);
             }
+            if (typeof path === 'undefined') throw new Error('The "path" parameter is required.');
 
-            return mostSpecific.type === 'allow';
+            assertSingleLine('userAgent', userAgent);
+            assertSingleLine('path', path);
         }
 
         /**
-         * Check if a URL is disallowed for specified user agent
-         * @param {string} url - URL to check
-         * @param {string} userAgent - User agent to check rules for
-         * @return {boolean} - True if disallowed, false if allowed
+         * Find the line blocks forming groups of a user agent
+         * @private
+         * @param {string} userAgent - User agent name
+         * @return {Object[]} - Blocks of the user agent, see groupLines()
          */
-        isDisallowed(url, userAgent) {
-            return !this.isAllowed(url, userAgent);
+        getBlocks(userAgent) {
+            return groupLines(this.lines).filter(block => block.userAgents.indexOf(userAgent.toLowerCase()) !== -1);
         }
 
         /**
-         * Get sitemap URLs found in robots.txt
-         * @return {string[]} - Array of sitemap URLs
+         * Remove member lines of blocks. A block losing all its members gets an empty
+         * Disallow line instead, otherwise its User-agent lines would join the next
+         * block, and the group would no longer allow everything.
+         * @private
+         * @param {Object[]} blocks - Blocks the lines belong to
+         * @param {Object[]} removedLines - Tokenized lines to remove
          */
-        getSitemaps() {
-            return this.sitemaps;
+        removeMembers(blocks, removedLines) {
+            blocks.forEach(block => {
+                if (block.members.length > 0 && block.members.every(line => removedLines.indexOf(line) !== -1)) {
+                    /** @type {Object} */
+                    const [line] = block.members;
+
+                    this.lines[line.index] = tokenizeLine('Disallow:', line.index, line.eol);
+                }
+            });
+
+            this.lines = this.lines.filter(line => removedLines.indexOf(line) === -1);
+            this.reindex();
         }
 
         /**
-         * Retrieve Clean-param directives for URL parameter sanitization
-         * @returns {string[]} Array of parameter patterns in Clean-param format:
-         *                         - Each entry follows "param[&param2] [path-prefix]" syntax
-         *                         - Path prefix is optional and specifies URL scope
+         * Replace the value of a directive line, keeping its formatting
+         * @private
+         * @param {Object} line - Tokenized line
+         * @param {string} value - New directive value
          */
-        getCleanParams() {
-            return this.cleanParam;
+        replaceValue(line, value) {
+            /** @type {string} */
+            const raw = line.tokens.map(token => token.type === 'value' ? value : token.text).join('');
+
+            this.lines[line.index] = tokenizeLine(raw, line.index, line.eol);
         }
 
         /**
-         * Get canonical host declaration for domain normalization
-         * @returns {string|undefined} Preferred hostname in one of these formats:
-         *                        - Domain without protocol (e.g., "www.example.com")
-         *                        - Domain with port (e.g., "example.com:8080")
-         *                        - undefined if no Host directive declared
+         * Insert a line after the given line
+         * @private
+         * @param {number} index - 0-based index of the line to insert after, -1 to insert at the beginning
+         * @param {string} raw - Line text
          */
-        getHost() {
-            return this.host;
+        insertLine(index, raw) {
+            /** @type {Object} */
+            const line = tokenizeLine(raw, index + 1, this.eol);
+            /** @type {Object|undefined} */
+            const previousLine = this.lines[index];
+
+            // Inserting after the last line moves the (missing) final end-of-line
+            if (previousLine && !previousLine.eol) {
+                previousLine.eol = this.eol;
+                line.eol = '';
+            }
+
+            this.lines.splice(index + 1, 0, line);
+            this.reindex();
         }
 
         /**
-         * Get group for specific user agent
-         * @param {string} userAgent - User agent to search for
-         * @return {Group|undefined} - Matching group or undefined
+         * Append lines as a new block at the end of the document
+         * @private
+         * @param {string[]} raws - Line texts
          */
-        getGroup(userAgent) {
-            if (!userAgent) return undefined;
+        appendLines(raws) {
+            /** @type {Object|undefined} - Empty last line of a document ending with end-of-line */
+            const finalLine = this.lines.length > 0 && this.lines[this.lines.length - 1].raw === '' ? this.lines.pop() : undefined;
+            /** @type {Object|undefined} */
+            const lastLine = this.lines[this.lines.length - 1];
 
-            for (let index = 0; index < this.groups.length; index++) {
-                const group = this.groups[index];
+            if (lastLine) {
+                lastLine.eol = lastLine.eol || this.eol;
 
-                if (group.userAgent.toLowerCase() === userAgent.toLowerCase()) {
-                    return group;
-                }
+                // Separate the new block by a blank line
+                if (lastLine.type !== 'blank') this.lines.push(tokenizeLine('', 0, this.eol));
             }
 
-            return undefined;
+            raws.forEach(raw => this.lines.push(tokenizeLine(raw, 0, this.eol)));
+
+            if (finalLine) {
+                this.lines.push(finalLine);
+            } else {
+                this.lines[this.lines.length - 1].eol = '';
+            }
+
+            this.reindex();
         }
 
         /**
-         * Calculate rule specificity score for path comparison
+         * Update line indexes after lines were inserted or removed
          * @private
-         * @param {string} path - URL path pattern
-         * @return {number} - Specificity score (higher = more specific)
          */
-        getRuleSpecificity(path) {
-            /** @type {number} */
-            let specificity = path.length;
-            if (path.indexOf('*') !== -1) specificity -= 0.5;
-            else if (path.slice(-1) === '$') specificity += 0.5;
-            return specificity;
+        reindex() {
+            this.lines.forEach((line, index) => {
+                line.index = index;
+            });
+        }
+    }
+
+    /**
+     * Built-in lint rules with their default severity. Each check receives a context with the
+     * parser, the decoded content, its tokenized lines and blocks, and a report(line, message, column)
+     * function.
+     * @type {Object.<string, Object>}
+     */
+    const LINT_RULES = {
+        'shadowed-rule': {
+            severity: 'warning',
+            check(context) {
+                /** @type {Object.<number, boolean>} - Reported rule lines, rules are shared by the groups of a block */
+                const reported = {};
+                for (const group of context.parser.groups) {
+                    /** @type {Object[]} - Rules with their literal prefix, before the first "*" or "$" */
+                    const entries = group.getRules()
+                        .filter(rule => rule.type !== 'noindex' && rule.path !== '' && typeof rule.index !== 'undefined')
+                        .map((rule, order) => ({
+                            rule,
+                            order,
+                            specificity: context.parser.getRuleSpecificity(rule.path),
+                            prefix: rule.path.split(/[*$]/)[0]
+                        }));
+                    /**
+                     * Rules matching every path starting with their prefix (no wildcard other than trailing "*"),
+                     * keyed by that prefix. Such a rule matches every path another rule matches if its
+                     * prefix starts the literal prefix of the other rule.
+                     * @type {Map<string, Object[]>}
+                     */
+                    const coveringByPrefix = new Map();
+
+                    entries.forEach(entry => {
+                        /** @type {string} */
+                        const prefix = entry.rule.path.replace(/\*+$/, '');
+
+                        if (/[*$]/.test(prefix)) return;
+
+                        if (!coveringByPrefix.has(prefix)) coveringByPrefix.set(prefix, []);
+                        coveringByPrefix.get(prefix).push(entry);
+                    });
+
+                    /** @type {function(Object, Object): boolean} - True if the covering rule decides instead of the entry */
+                    const shadows = (other, entry) => other !== entry &&
+                        (isPreferredMatch(other, entry) || (other.specificity === entry.specificity && other.rule.type === entry.rule.type && other.order < entry.order));
+
+                    for (const entry of entries) {
+                        /** @type {Object|undefined} - First rule deciding every path of the entry instead of it */
+                        let shadowing;
+
+                        for (let length = 0; length <= entry.prefix.length; length++) {
+                            /** @type {Object[]|undefined} */
+                            const candidates = coveringByPrefix.get(entry.prefix.slice(0, length));
+                            /** @type {Object|undefined} */
+                            const candidate = candidates && candidates.find(other => shadows(other, entry));
+
+                            if (candidate && (!shadowing || candidate.order < shadowing.order)) shadowing = candidate;
+                        }
+
+                        if (!shadowing || reported[entry.rule.index]) continue;
+
+                        reported[entry.rule.index] = true;
+                        context.report(
+                            context.lines[entry.rule.index],
+                            `${DIRECTIVE_NAMES[entry.rule.type]}: ${entry.rule.path} never applies, it is shadowed by ${DIRECTIVE_NAMES[shadowing.rule.type]}: ${shadowing.rule.path} on line ${shadowing.rule.getLine()}.`
+                        );
+                    }
+                }
+            }
+        },
+        'invalid-path-start': {
+            severity: 'warning',
+            check(context) {
+                context.lines
+                    .filter(line => (line.directive === 'allow' || line.directive === 'disallow') && line.value && line.value[0] !== '/' && line.value[0] !== '*')
+                    .forEach(line => context.report(line, `${DIRECTIVE_NAMES[line.directive]} path should start with "/" or "*": "${line.value}".`));
+            }
+        },
+        'unreachable-group': {
+            severity: 'warning',
+            check(context) {
+                context.blocks.forEach(block => block.userAgentLines
+                    .filter(line => line.value !== '*' && !/^[a-z_-]+$/.test(context.parser.normalizeGroupName(line.value)))
+                    .forEach(line => context.report(line, `User-agent "${line.value}" is not a product token, crawlers never select this group.`)));
+            }
+        },
+        'duplicate-group': {
+            severity: 'warning',
+            check(context) {
+                /** @type {Object.<string, Object>} - First User-agent line and block of each user agent */
+                const seen = {};
+
+                context.blocks.forEach(block => block.userAgentLines.forEach(line => {
+                    /** @type {string} */
+                    const userAgent = line.value.toLowerCase();
+
+                    if (!seen[userAgent]) {
+                        seen[userAgent] = { line, block };
+                    } else if (seen[userAgent].block !== block) {
+                        context.report(line, `User-agent "${line.value}" already has a group on line ${seen[userAgent].line.index + 1}, the groups are merged.`);
+                    }
+                }));
+            }
+        },
+        'crawl-delay-ignored': {
+            severity: 'info',
+            check(context) {
+                context.blocks
+                    .filter(block => block.userAgents.some(userAgent => userAgent === '*' || userAgent.indexOf('google') === 0))
+                    .forEach(block => block.members
+                        .filter(line => line.directive === 'crawl-delay' && line.value)
+                        .forEach(line => context.report(line, 'Crawl-delay is ignored by Googlebot.', line.column)));
+            }
+        },
+        'file-too-large': {
+            severity: 'error',
+            check(context) {
+                /** @type {Object} */
+                const content = truncateUtf8(context.content, MAX_ROBOTS_TXT_SIZE);
+
+                if (!content.truncated) return;
+
+                /** @type {number} - 0-based index of the first line beyond the limit */
+                const index = splitLines(content.text).length - 1;
+
+                context.report(context.lines[index], `File is larger than ${MAX_ROBOTS_TXT_SIZE / 1024} KiB, crawlers ignore the content from this line on.`, 1);
+            }
+        },
+        'bom': {
+            severity: 'warning',
+            check(context) {
+                if (context.content.charCodeAt(0) === 0xFEFF) {
+                    context.report(context.lines[0], 'File starts with a byte order mark (BOM), some crawlers do not recognize the first line.', 1);
+                }
+            }
+        },
+        'invalid-utf8': {
+            severity: 'error',
+            check(context) {
+                context.lines
+                    .filter(line => line.raw.indexOf('\uFFFD') !== -1)
+                    .forEach(line => context.report(line, 'Line contains bytes that are not valid UTF-8.', line.raw.indexOf('\uFFFD') + 1));
+            }
+        },
+        'misspelled-directive': {
+            severity: 'error',
+            check(context) {
+                for (const line of context.lines) {
+                    if (line.type !== 'directive' || !line.directive || KNOWN_DIRECTIVES.indexOf(line.directive) !== -1) continue;
+
+                    /** @type {number} - Allowed number of typos, short names are not compared */
+                    const maxDistance = Math.min(2, Math.floor(line.directive.length / 3));
+                    /** @type {string|undefined} */
+                    const suggestion = KNOWN_DIRECTIVES
+                        .map(directive => ({ directive, distance: getEditDistance(line.directive, directive) }))
+                        .filter(candidate => candidate.distance <= maxDistance)
+                        .sort((a, b) => a.distance - b.distance)
+                        .map(candidate => candidate.directive)[0];
+
+                    if (suggestion) {
+                        context.report(line, `Unknown directive "${line.directive}", did you mean "${suggestion[0].toUpperCase()}${suggestion.slice(1)}"?`, line.column);
+                    }
+                }
+            }
         }
+    };
 
+    /**
+     * Configurable robots.txt linter combining parser reports with best-practice checks
+     */
+    class RobotsTxtLinter {
         /**
-         * Get groups applicable to specified user agent
-         * @private
-         * @param {string} userAgent - User agent to check
-         * @return {Group[]} - Array of matching groups
+         * Create a new linter
+         * @param {Object} [config] - Linter configuration
+         * @param {Object.<string, string>} [config.rules] - Severity of rules and parser report codes by name:
+         *                                                  'off', 'info', 'warning' or 'error'. Names of
+         *                                                  custom rules are checked once they are defined,
+         *                                                  when linting.
          */
-        getApplicableGroups(userAgent) {
-            /** @type {Group[]} */
-            const exactGroups = this.groups.filter(group => group.getName().toLowerCase() === userAgent.toLowerCase());
-            if (exactGroups.length > 0) return exactGroups;
-            return this.groups.filter(group => group.getName() === '*');
+        constructor(config) {
+            if (config && config.rules !== null && typeof config.rules !== 'undefined' && typeof config.rules !== 'object') {
+                throw new Error('The "rules" option must be an object.');
+            }
+
+            /** @member {Object} - Linter configuration merged with its defaults */
+            this.config = Object.assign({}, config, { rules: Object.assign({}, config && config.rules) });
+
+            Object.keys(this.config.rules).forEach(name => this.assertSeverity(name, this.config.rules[name]));
+
+            /** @member {Object.<string, Object>} - Lint rules by name */
+            this.rules = Object.assign({}, LINT_RULES);
         }
 
         /**
-         * Get all rules applicable to specified user agent
-         * @private
-         * @param {string} userAgent - User agent to check
-         * @return {Rule[]} - Array of applicable rules
+         * Define a custom lint rule
+         * @param {string} name - Rule name, used as report code
+         * @param {Object} rule - Rule definition
+         * @param {Function} rule.check - Check called with the lint context, see LINT_RULES
+         * @param {string} [rule.severity='warning'] - Default severity
+         * @return {RobotsTxtLinter} - Linter instance
          */
-        getApplicableRules(userAgent) {
-            /** @type {Rule[]} */
-            const rules = this.getApplicableGroups(userAgent);
-            return rules.reduce((acc, group) => acc.concat(group.getRules()), []);
+        defineRule(name, rule) {
+            if (typeof name === 'undefined') throw new Error('The "name" parameter is required.');
+            if (!rule || typeof rule.check !== 'function') throw new Error('The "rule" parameter must have a check function.');
+
+            this.rules[name] = Object.assign({ severity: 'warning' }, rule);
+            this.assertSeverity(name, this.rules[name].severity);
+
+            return this;
         }
 
         /**
-         * Normalize URL path for comparison
-         * @private
-         * @param {string} url - URL or path to normalize
-         * @return {string} - Normalized path
+         * Lint robots.txt content
+         * @param {string|Uint8Array} content - Raw robots.txt content, bytes are decoded as UTF-8
+         * @param {Object} [parserOptions] - Parser options
+         * @return {Object[]} - Parser and lint reports ordered by line and column, the code of lint
+         *                      reports is the rule name
          */
-        normalizeUrlPath(url) {
-            try {
-                return this.normalizePath(new URL(url).pathname);
-            } catch (error) {
-                return this.normalizePath(url);
+        lint(content, parserOptions) {
+            if (typeof content === 'undefined') throw new Error('The "content" parameter is required.');
+
+            Object.keys(this.config.rules).forEach(name => {
+                if (!this.rules[name] && REPORT_CODES.indexOf(name) === -1) throw new Error(`Definition for rule "${name}" was not found.`);
+            });
+
+            /** @type {string} */
+            const text = typeof content === 'string' ? content : new TextDecoder('utf-8', { ignoreBOM: true }).decode(content);
+            /** @type {Object[]} */
+            const lines = splitLines(text).map((line, index) => tokenizeLine(line.text, index, line.eol));
+            /** @type {RobotsTxtParser} */
+            const parser = new RobotsTxtParser(text, parserOptions);
+            /** @type {Object[]} */
+            const blocks = groupLines(lines, parser.options.profile);
+            /** @type {Object[]} */
+            const reports = [];
+
+            for (const name of Object.keys(this.rules)) {
+                /** @type {string} */
+                const severity = this.config.rules[name] || this.rules[name].severity;
+
+                if (severity === 'off') continue;
+
+                this.rules[name].check({
+                    parser,
+                    content: text,
+                    lines,
+                    blocks,
+                    report: (line, message, column) => reports.push({
+                        code: name,
+                        severity,
+                        message,
+                        line: line.index + 1,
+                        column: typeof column === 'undefined' ? line.valueColumn || 1 : column,
+                        directive: line.directive,
+                        value: line.type === 'directive' ? line.value : line.raw
+                    })
+                });
             }
+
+            /** @type {number[]} - Lines with a misspelled directive, reported instead of unknown-directive */
+            const misspelled = reports.filter(report => report.code === 'misspelled-directive').map(report => report.line);
+
+            return parser.getReports()
+                .filter(report => report.code !== 'unknown-directive' || misspelled.indexOf(report.line) === -1)
+                .map(report => Object.assign({}, report, { severity: this.config.rules[report.code] || report.severity }))
+                .filter(report => report.severity !== 'off')
+                .concat(reports)
+                .sort((a, b) => a.line - b.line || a.column - b.column);
         }
 
         /**
-         * Normalize path string for consistent comparisons
+         * Validate a configured severity
          * @private
-         * @param {string} path - URL path to normalize
-         * @return {string} - Normalized path
+         * @param {string} name - Rule name
+         * @param {string} severity - Severity
          */
-        normalizePath(path) {
+        assertSeverity(name, severity) {
+            if (LINT_SEVERITIES.indexOf(severity) === -1) {
+                throw new Error(`The "${name}" rule severity must be one of: ${LINT_SEVERITIES.join(', ')}.`);
+            }
+        }
+    }
+
+    /**
+     * Compare two parsed robots.txt files
+     * @param {RobotsTxtParser} oldParser - Parser of the previous robots.txt
+     * @param {RobotsTxtParser} newParser - Parser of the new robots.txt
+     * @param {Object} [options] - Diff options
+     * @param {string[]} [options.urls=[]] - Sample URLs whose access decisions are compared
+     * @param {string[]} [options.userAgents] - User agents the URLs are checked for, defaults to all group names
+     * @return {Object} - Semantic changes:
+     *                      - groups: { added, removed } user agent names
+     *                      - rules: per user agent { userAgent, added, removed, reordered } with { type, path, line } rules
+     *                      - crawlDelay: per user agent { userAgent, before, after }
+     *                      - sitemaps: { added, removed } sitemap URLs
+     *                      - host: { before, after } or undefined if unchanged
+     *                      - urls: { url, userAgent, before, after } for every flipped isAllowed() result
+     */
+    function diffParsers(oldParser, newParser, options) {
+        if (typeof oldParser === 'undefined') throw new Error('The "oldParser" parameter is required.');
+        if (typeof newParser === 'undefined') throw new Error('The "newParser" parameter is required.');
+
+        const settings = Object.assign({ urls: [], userAgents: undefined }, options);
+
+        /** @type {function(RobotsTxtParser): Object.<string, Group>} - Groups keyed by lowercase user agent */
+        const byName = parser => parser.groups.reduce((groups, group) => {
+            groups[group.getName().toLowerCase()] = group;
+            return groups;
+        }, {});
+        /** @type {function(Rule): string} */
+        const ruleKey = rule => `${rule.type} ${rule.path}`;
+        /** @type {function(Rule): Object} */
+        const describeRule = rule => ({ type: rule.type, path: rule.path, line: rule.getLine() });
+        /** @type {function(Array, Array): Array} - Items of the first list missing in the second one */
+        const missing = (items, others) => items.filter(item => others.indexOf(item) === -1);
+
+        const oldGroups = byName(oldParser);
+        const newGroups = byName(newParser);
+        /** @type {string[]} */
+        const oldNames = Object.keys(oldGroups);
+        /** @type {string[]} */
+        const newNames = Object.keys(newGroups);
+        /** @type {string[]} */
+        const names = oldNames.concat(missing(newNames, oldNames));
+
+        const result = {
+            groups: {
+                added: missing(newNames, oldNames).map(name => newGroups[name].getName()),
+                removed: missing(oldNames, newNames).map(name => oldGroups[name].getName())
+            },
+            rules: [],
+            crawlDelay: [],
+            sitemaps: {
+                added: missing(newParser.getSitemaps(), oldParser.getSitemaps()),
+                removed: missing(oldParser.getSitemaps(), newParser.getSitemaps())
+            },
+            host: oldParser.getHost() === newParser.getHost() ? undefined : { before: oldParser.getHost(), after: newParser.getHost() },
+            urls: []
+        };
+
+        for (const name of names) {
+            /** @type {Group|undefined} */
+            const oldGroup = oldGroups[name];
+            /** @type {Group|undefined} */
+            const newGroup = newGroups[name];
             /** @type {string} */
-            let decodedPath;
+            const userAgent = (newGroup || oldGroup).getName();
+            /** @type {Rule[]} */
+            const oldRules = oldGroup ? oldGroup.getRules() : [];
+            /** @type {Rule[]} */
+            const newRules = newGroup ? newGroup.getRules() : [];
+            /** @type {string[]} */
+            const oldKeys = oldRules.map(ruleKey);
+            /** @type {string[]} */
+            const newKeys = newRules.map(ruleKey);
+            /** @type {string[]} - Rules kept in both versions, in their respective order */
+            const keptOld = oldKeys.filter(key => newKeys.indexOf(key) !== -1);
+            const keptNew = newKeys.filter(key => oldKeys.indexOf(key) !== -1);
 
-            try {
-                decodedPath = decodeURIComponent(path);
-            } catch (error) {
-                decodedPath = path;
-            }
+            const rules = {
+                userAgent,
+                added: newRules.filter(rule => oldKeys.indexOf(ruleKey(rule)) === -1).map(describeRule),
+                removed: oldRules.filter(rule => newKeys.indexOf(ruleKey(rule)) === -1).map(describeRule),
+                reordered: keptOld.join('\n') !== keptNew.join('\n')
+            };
 
-            // Prepend forward slash if path not empty and does not start with
-            // forward slash
-            if (decodedPath && decodedPath[0] !== '/') return `/${decodedPath}`;
+            if (rules.added.length > 0 || rules.removed.length > 0 || rules.reordered) result.rules.push(rules);
 
-            return decodedPath;
+            /** @type {number|undefined} */
+            const before = oldGroup ? oldGroup.getCrawlDelay() : undefined;
+            /** @type {number|undefined} */
+            const after = newGroup ? newGroup.getCrawlDelay() : undefined;
+
+            if (before !== after) result.crawlDelay.push({ userAgent, before, after });
         }
 
-        isValidTime(time) {
-            const hours = parseInt(time.substring(0, 2), 10);
-            const minutes = parseInt(time.substring(2, 4), 10);
+        /** @type {string[]} */
+        const userAgents = settings.userAgents || names.map(name => (newGroups[name] || oldGroups[name]).getName());
 
-            // Validate hours and minutes
-            return hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59;
+        for (const url of settings.urls) {
+            for (const userAgent of userAgents) {
+                /** @type {boolean} */
+                const before = oldParser.isAllowed(url, userAgent);
+                /** @type {boolean} */
+                const after = newParser.isAllowed(url, userAgent);
+
+                if (before !== after) result.urls.push({ url, userAgent, before, after });
+            }
         }
+
+        return result;
     }
 
     /**
      * Create a new robots.txt parser instance
      * @param {string} content - Raw robots.txt content
+     * @param {Object} [options] - Parser options
      * @return {RobotsTxtParser} - Configured parser instance
      */
-    function robotstxt(content) {
-        return new RobotsTxtParser(content);
+    function robotstxt(content, options) {
+        return new RobotsTxtParser(content, options);
     }
 
+    /**
+     * Create a new robots.txt builder instance
+     * @param {Object} [options] - Parser options used by build()
+     * @return {RobotsTxtBuilder} - Builder instance
+     */
+    robotstxt.builder = function (options) {
+        return new RobotsTxtBuilder(options);
+    };
+
+    /**
+     * Create a new lossless robots.txt document instance
+     * @param {string} content - Raw robots.txt content
+     * @return {RobotsTxtDocument} - Document instance
+     */
+    robotstxt.document = function (content) {
+        return new RobotsTxtDocument(content);
+    };
+
+    /**
+     * Create a new incremental robots.txt parser instance
+     * @param {Object} [options] - Stream parser options
+     * @return {RobotsTxtStreamParser} - Stream parser instance
+     */
+    robotstxt.stream = function (options) {
+        return new RobotsTxtStreamParser(options);
+    };
+
+    /**
+     * Create a new robots.txt fetcher instance
+     * @param {Object} [options] - Fetcher options
+     * @return {RobotsTxtFetcher} - Fetcher instance
+     */
+    robotstxt.fetcher = function (options) {
+        return new RobotsTxtFetcher(options);
+    };
+
+    /**
+     * Create a new XML sitemap walker instance
+     * @param {Object} [options] - Walker options
+     * @return {SitemapWalker} - Walker instance
+     */
+    robotstxt.sitemapWalker = function (options) {
+        return new SitemapWalker(options);
+    };
+
+    /**
+     * Create a new robots meta tag and X-Robots-Tag parser instance
+     * @param {Object} [input] - Page response with headers and html
+     * @param {Object} [options] - Parser options
+     * @return {RobotsMetaParser} - Parser instance
+     */
+    robotstxt.meta = function (input, options) {
+        return new RobotsMetaParser(input, options);
+    };
+
+    /**
+     * Create a new robots.txt linter instance
+     * @param {Object} [config] - Linter configuration
+     * @return {RobotsTxtLinter} - Linter instance
+     */
+    robotstxt.linter = function (config) {
+        return new RobotsTxtLinter(config);
+    };
+
+    /**
+     * Compare two parsed robots.txt files, see diffParsers()
+     * @param {RobotsTxtParser} oldParser - Parser of the previous robots.txt
+     * @param {RobotsTxtParser} newParser - Parser of the new robots.txt
+     * @param {Object} [options] - Diff options
+     * @return {Object} - Semantic changes
+     */
+    robotstxt.diff = function (oldParser, newParser, options) {
+        return diffParsers(oldParser, newParser, options);
+    };
+
+    /**
+     * Create a new per-origin robots.txt registry instance
+     * @param {Object} [options] - Registry options
+     * @return {RobotsRegistry} - Registry instance
+     */
+    robotstxt.registry = function (options) {
+        return new RobotsRegistry(options);
+    };
+
+    /**
+     * Create a new crawl scheduler instance
+     * @param {Group} group - Group of the crawling user agent
+     * @param {Object} [options] - Scheduler options
+     * @return {CrawlScheduler} - Scheduler instance
+     */
+    robotstxt.scheduler = function (group, options) {
+        return new CrawlScheduler(group, options);
+    };
+
     // Universal module exports
     /* eslint-disable quote-props */
     if (typeof exports !== 'undefined') {
@@ -1,8 +1,14 @@
-/* global describe, it */
+/* global describe, it, before, after, beforeEach */
 
 'use strict';
 
 const assert = require('assert'),
+    http = require('http'),
+    path = require('path'),
+    childProcess = require('child_process'),
+    { Readable } = require('stream'),
+    { ReadableStream } = require('stream/web'),
+    cli = require('../bin/robotstxt.js'),
     robotstxtjs = require('../src/robotstxt.js'),
     { robotstxt } = robotstxtjs;
 
@@ -68,7 +74,7 @@ Disallow: *`;
         const reports = r.getReports();
 
         assert.strictEqual(r.getGroup('vacuumweb').getRobotVersion(), undefined);
-        assert(reports.some(report => report.indexOf('Invalid Robot-Version directive value: "invalid_version_number".') !== -1), 'Reports should indicate Robot-version format is invalid');
+        assert(reports.some(report => report.message.indexOf('Invalid Robot-Version directive value: "invalid_version_number".') !== -1), 'Reports should indicate Robot-version format is invalid');
     });
 
     it('should handle return User-Agent Request-rate', () => {
@@ -97,8 +103,8 @@ Disallow: *`;
         const reports = r.getReports();
 
         assert.deepStrictEqual(requestRates.length, 2, 'There should be 2 valid Request-Rate');
-        assert(reports.some(report => report.indexOf('Invalid Request-rate directive start-end time format: "2700-0459".') !== -1), 'Reports should indicate Request-rate has invalid time format');
-        assert(reports.some(report => report.indexOf('Invalid Request-rate directive start-end time format: "0500-3459".') !== -1), 'Reports should indicate Request-rate has invalid time format');
+        assert(reports.some(report => report.message.indexOf('Invalid Request-rate directive start-end time format: "2700-0459".') !== -1), 'Reports should indicate Request-rate has invalid time format');
+        assert(reports.some(report => report.message.indexOf('Invalid Request-rate directive start-end time format: "0500-3459".') !== -1), 'Reports should indicate Request-rate has invalid time format');
     });
 
     it('should handle return User-Agent Visit-time', () => {
@@ -122,7 +128,54 @@ Visit-time: 2542-3199		# and then only between xxxxx`;
         const reports = r.getReports();
 
         assert.strictEqual(r.getGroup('vacuumweb').getVisitTime(), undefined);
-        assert(reports.some(report => report.indexOf('Invalid Visit-time directive start-end time format: "2542-3199".') !== -1), 'Reports should indicate Visit-time time range format is invalid');
+        assert(reports.some(report => report.message.indexOf('Invalid Visit-time directive start-end time format: "2542-3199".') !== -1), 'Reports should indicate Visit-time time range format is invalid');
+    });
+
+    it('should parse Request-rate into structured values', () => {
+        const content = `User-agent: *
+Request-rate: 100/24h
+Request-rate: 1/5
+Request-rate: 1/10M 1300-1659
+Request-rate: 1/20m 1700-0459
+Request-rate: 3 / 90s`;
+        const group = robotstxt(content).getGroup('*');
+
+        assert.deepStrictEqual(group.getRequestRates(), ['100/24h', '1/5', '1/10M 1300-1659', '1/20m 1700-0459', '3 / 90s']);
+        assert.deepStrictEqual(group.getParsedRequestRates(), [
+            { requests: 100, seconds: 86400, window: undefined },
+            { requests: 1, seconds: 5, window: undefined },
+            { requests: 1, seconds: 600, window: { start: 780, end: 1019 } },
+            { requests: 1, seconds: 1200, window: { start: 1020, end: 299 } },
+            { requests: 3, seconds: 90, window: undefined }
+        ]);
+    });
+
+    it('should parse Visit-time into a structured value', () => {
+        assert.deepStrictEqual(robotstxt('User-agent: *\nVisit-time: 0600-0845').getGroup('*').getParsedVisitTime(), { start: 360, end: 525 });
+        assert.deepStrictEqual(robotstxt('User-agent: *\nVisit-time: 2300-0400').getGroup('*').getParsedVisitTime(), { start: 1380, end: 240 });
+        assert.strictEqual(robotstxt('User-agent: *\nDisallow: /').getGroup('*').getParsedVisitTime(), undefined);
+    });
+
+    it('should report malformed Request-rate and Visit-time values with details', () => {
+        const content = `User-agent: *
+Request-rate: 0/10m
+Request-rate: 1/10d
+Request-rate: 1/10m 1300-1675
+Visit-time: 06:00-08:45`;
+        const r = robotstxt(content);
+        const reports = r.getReports();
+
+        assert.deepStrictEqual(r.getGroup('*').getParsedRequestRates(), []);
+        assert.deepStrictEqual(reports.map(report => [report.code, report.line]), [
+            ['invalid-request-rate', 2],
+            ['invalid-request-rate', 3],
+            ['invalid-request-rate-time', 4],
+            ['invalid-visit-time', 5]
+        ]);
+        assert(reports[0].message.indexOf('must be positive') !== -1);
+        assert(reports[1].message.indexOf('Expected <requests>/<period>[s|m|h]') !== -1);
+        assert(reports[2].message.indexOf('"1675" is not a valid time') !== -1);
+        assert(reports[3].message.indexOf('Expected <HHMM>-<HHMM>') !== -1);
     });
 });
 
@@ -219,6 +272,75 @@ Disallow: /`;
     });
 });
 
+describe('Grouping', () => {
+    it('should keep rules around interleaved Sitemap and Host lines in their group', () => {
+        const r = robotstxt(`User-agent: a
+Disallow: /a
+Sitemap: https://example.com/sitemap.xml
+Host: example.com
+Disallow: /b
+
+User-agent: b
+Clean-param: ref
+Disallow: /c`);
+
+        assert.deepStrictEqual(r.getGroup('a').getRules().map(rule => rule.path), ['/a', '/b']);
+        assert.deepStrictEqual(r.getGroup('b').getRules().map(rule => rule.path), ['/c']);
+        assert.deepStrictEqual(r.getGroup('a').getBlocks(), [{ start: 1, end: 5, userAgents: ['a'] }]);
+        assert.deepStrictEqual(r.getGroup('b').getBlocks(), [{ start: 7, end: 9, userAgents: ['b'] }]);
+        assert.deepStrictEqual(r.getSitemaps(), ['https://example.com/sitemap.xml']);
+        assert.strictEqual(r.getHost(), 'example.com');
+    });
+
+    it('should merge blocks of user agents only differing in case', () => {
+        const r = robotstxt('User-agent: Googlebot\nDisallow: /a\n\nUser-agent: googlebot\nUser-agent: GOOGLEBOT\nDisallow: /b\nCrawl-delay: 5');
+        const group = r.getGroup('googlebot');
+
+        assert.strictEqual(r.groups.length, 1);
+        assert.strictEqual(group.getName(), 'Googlebot');
+        assert.deepStrictEqual(group.getRules().map(rule => rule.path), ['/a', '/b']);
+        assert.strictEqual(group.getCrawlDelay(), 5);
+        assert.deepStrictEqual(group.getBlocks(), [{ start: 1, end: 2, userAgents: ['Googlebot'] }, { start: 4, end: 7, userAgents: ['googlebot'] }]);
+    });
+
+    it('should share the group of consecutive User-agent lines', () => {
+        const r = robotstxt('User-agent: a\n\n# comment\nUser-agent: b\nUser-agent: a\nDisallow: /x');
+
+        assert.deepStrictEqual(r.getGroup('a').getBlocks(), [{ start: 1, end: 6, userAgents: ['a', 'b'] }]);
+        assert.strictEqual(r.getGroup('a').getBlocks()[0], r.getGroup('b').getBlocks()[0]);
+        assert.deepStrictEqual(r.getGroup('b').getRules().map(rule => rule.getLine()), [6]);
+    });
+
+    it('should start a new group after directives without value', () => {
+        const r = robotstxt('User-agent: a\nDisallow:\nUser-agent: b\nDisallow: /');
+
+        assert.strictEqual(r.isAllowed('/page', 'a'), true);
+        assert.strictEqual(r.isAllowed('/page', 'b'), false);
+        assert.deepStrictEqual(r.getGroup('b').getBlocks(), [{ start: 3, end: 4, userAgents: ['b'] }]);
+    });
+
+    it('should create groups without rules for trailing User-agent lines', () => {
+        const r = robotstxt('User-agent: *\nDisallow: /\n\nUser-agent: a\nUser-agent: b');
+
+        assert.deepStrictEqual(r.getGroup('b').getRules(), []);
+        assert.deepStrictEqual(r.getGroup('b').getBlocks(), [{ start: 4, end: 5, userAgents: ['a', 'b'] }]);
+        assert.strictEqual(r.isAllowed('/page', 'a'), true);
+        assert.strictEqual(r.isAllowed('/page', 'c'), false);
+    });
+
+    it('should merge repeated blocks and record each of them', () => {
+        const r = robotstxt('Disallow: /0\nUser-agent: a\nDisallow: /1\n\nUser-agent: *\nUser-agent: a\nAllow: /2\nCrawl-delay: 5');
+
+        assert.deepStrictEqual(r.getGroup('a').getRules().map(rule => [rule.path, rule.getLine()]), [['/1', 3], ['/2', 7]]);
+        assert.deepStrictEqual(r.getGroup('a').getBlocks().map(block => [block.start, block.end]), [[2, 3], [5, 8]]);
+        assert.deepStrictEqual(r.getGroup('*').getBlocks(), [
+            { start: 1, end: 1, userAgents: ['*'] },
+            { start: 5, end: 8, userAgents: ['*', 'a'] }
+        ]);
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line]), [['missing-user-agent', 1]]);
+    });
+});
+
 describe('Sitemap rules', () => {
     it('should return the correct sitemap URL', () => {
         const rules = `User-agent: *
@@ -264,7 +386,7 @@ describe('Cache-delay', () => {
         const group = r.getGroup('*');
 
         assert.strictEqual(group.getCacheDelay(), undefined, 'Cache-delay value should be false');
-        assert(reports.some(report => report.indexOf('Invalid Cache-delay directive value: "invalid".') !== -1), 'Reports should indicate cache-delay is not a number');
+        assert(reports.some(report => report.message.indexOf('Invalid Cache-delay directive value: "invalid".') !== -1), 'Reports should indicate cache-delay is not a number');
     });
 
     it('should log an error if Cache-delay is 0 during parsing', () => {
@@ -276,7 +398,7 @@ describe('Cache-delay', () => {
         const group = r.getGroup('*');
 
         assert.strictEqual(group.getCacheDelay(), undefined, 'Cache-delay value should be false');
-        assert(reports.some(report => report.indexOf('Cache-delay must be a positive number. The provided value is 0.') !== -1), 'Reports should indicate cache-delay is not a positive');
+        assert(reports.some(report => report.message.indexOf('Cache-delay must be a positive number. The provided value is 0.') !== -1), 'Reports should indicate cache-delay is not a positive');
     });
 
     it('should return the correct cache delay', () => {
@@ -335,7 +457,7 @@ describe('Crawl-Delay', () => {
         const group = r.getGroup('*');
 
         assert.strictEqual(group.getCrawlDelay(), undefined, 'Crawl-delay value should be false');
-        assert(reports.some(report => report.indexOf('Invalid Crawl-Delay directive value: "invalid".') !== -1), 'Reports should indicate cache-delay is not a number');
+        assert(reports.some(report => report.message.indexOf('Invalid Crawl-Delay directive value: "invalid".') !== -1), 'Reports should indicate cache-delay is not a number');
     });
 
     it('should log an error if Crawl-Delay is 0 during parsing', () => {
@@ -347,7 +469,7 @@ describe('Crawl-Delay', () => {
         const group = r.getGroup('*');
 
         assert.strictEqual(group.getCrawlDelay(), undefined, 'Crawl-delay value should be false');
-        assert(reports.some(report => report.indexOf('Crawl-Delay must be a positive number. The provided value is 0.') !== -1), 'Reports should indicate cache-delay is not a positive');
+        assert(reports.some(report => report.message.indexOf('Crawl-Delay must be a positive number. The provided value is 0.') !== -1), 'Reports should indicate cache-delay is not a positive');
     });
 
     it('should return the correct crawl delay', () => {
@@ -398,29 +520,13 @@ Crawl-Delay: 5`;
 
 describe('Check rules match', () => {
     class Rule {
-        constructor(type, path) {
-            this.re = {
-                specialChars: /[.^+?(){}[\]|\\]/g,
-                nonGreedyWildcard: /\*/g
-            };
+        constructor(type, path, index) {
+            const anchored = path.slice(-1) === '$';
+
             this.type = type;
             this.path = path;
-            this.regex = this.createRegex(path);
-        }
-
-        createRegex(path) {
-            try {
-                let pattern = path.replace(this.re.specialChars, '\\$&')
-                    .replace(this.re.nonGreedyWildcard, '.*?');
-
-                if (pattern.slice(-1) === '\\$') {
-                    pattern = `${pattern.slice(0, -2)}$`;
-                }
-
-                return new RegExp(`^${pattern}`);
-            } catch (error) {
-                return new RegExp(`^${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
-            }
+            this.index = index;
+            this.pattern = { segments: (anchored ? path.slice(0, -1) : path).split('*'), anchored };
         }
     }
 
@@ -434,12 +540,15 @@ describe('Check rules match', () => {
             this.robotVersion = undefined;
             this.visitTime = undefined;
             this.requestRates = [];
+            this.parsedVisitTime = undefined;
+            this.parsedRequestRates = [];
+            this.blocks = [];
         }
 
-        addRule(type, path) {
+        addRule(type, path, index) {
             if (typeof type === 'undefined') throw new Error('The "type" parameter is required.');
             if (typeof path === 'undefined') throw new Error('The "path" parameter is required.');
-            this.rules.push(new Rule(type, path));
+            this.rules.push(new Rule(type, path, index));
         }
     }
 
@@ -456,12 +565,13 @@ describe('Check rules match', () => {
 
 
         const expectedGroup = new Group('*');
-        expectedGroup.addRule('allow', '/p');
-        expectedGroup.addRule('disallow', '/');
+        expectedGroup.addRule('allow', '/p', 1);
+        expectedGroup.addRule('disallow', '/', 2);
+        expectedGroup.blocks.push({ start: 1, end: 3, userAgents: ['*'] });
 
         assert.deepEqual(ua, expectedGroup, 'Wildcard group should match expected structure');
-        assert.deepEqual(ua.getRules()[0], new Rule('allow', '/p'), 'First rule should match');
-        assert.deepEqual(ua.getRules()[1], new Rule('disallow', '/'), 'Second rule should match');
+        assert.deepEqual(ua.getRules()[0], new Rule('allow', '/p', 1), 'First rule should match');
+        assert.deepEqual(ua.getRules()[1], new Rule('disallow', '/', 2), 'Second rule should match');
 
         assert.strictEqual(r.getGroup('Googlebot'), undefined, 'Should return undefined for non-existent UA');
     });
@@ -662,4 +772,2218 @@ Disallow: /protected`;
         assert.strictEqual(true, robots.isAllowed('/', '*'));
         assert.strictEqual(true, robots.isDisallowed('/protected', '*'));
     });
+
+    it('Matches "$" literally unless it ends the pattern', () => {
+        const robots = robotstxt('User-agent: *\nDisallow: /price$list\nDisallow: /a*b*$\nDisallow: /end$');
+
+        assert.strictEqual(true, robots.isDisallowed('/price$list/1', '*'));
+        assert.strictEqual(true, robots.isDisallowed('/a/b/c', '*'));
+        assert.strictEqual(true, robots.isAllowed('/a/c', '*'));
+        assert.strictEqual(true, robots.isDisallowed('/end', '*'));
+        assert.strictEqual(true, robots.isAllowed('/end/', '*'));
+    });
+
+    it('Matches pathological wildcard patterns in linear time', () => {
+        const robots = robotstxt(`User-agent: *\nDisallow: /${'*a'.repeat(30)}*b$\nDisallow: /x*y*z`);
+        const path = `/${'a'.repeat(100000)}`;
+
+        assert.strictEqual(true, robots.isAllowed(path, '*'));
+        assert.strictEqual(true, robots.isDisallowed(`${path}b`, '*'));
+        assert.strictEqual(true, robots.compile('*').isAllowed(`/x${'y'.repeat(100000)}`));
+    });
+
+    it('Ignores and reports rules over the pattern length and rule count limits', () => {
+        const robots = robotstxt(`User-agent: *\nDisallow: /${'a'.repeat(20)}\nDisallow: /b\nAllow: /c\nDisallow: /d`, { maxPatternLength: 10, maxRules: 2 });
+
+        assert.deepStrictEqual(robots.getGroup('*').getRules().map(rule => rule.path), ['/b', '/c']);
+        assert.deepStrictEqual(robots.getReports().map(report => [report.code, report.line]), [['pattern-too-long', 2], ['too-many-rules', 5]]);
+        assert.strictEqual(robotstxt(`User-agent: *\nDisallow: /${'a'.repeat(3000)}`).getGroup('*').getRules().length, 0);
+        assert.throws(() => robotstxt.builder().group('*').disallow(`/${'a'.repeat(3000)}`), /"path" parameter must not be longer than 2048 characters/);
+    });
+});
+
+describe('RFC 9309 path matching', () => {
+    const content = `User-Agent: *
+Disallow: *.gif$
+Disallow: /example/
+Allow: /publications/
+
+User-Agent: foobot
+Disallow:/
+Allow:/example/page.html
+Allow:/example/allowed.gif
+
+User-Agent: barbot
+User-Agent: bazbot
+Disallow: /example/page.html
+
+User-Agent: quxbot`;
+
+    it('should throw on unknown path matching mode', () => {
+        assert.throws(() => robotstxt('', { pathMatching: 'unknown' }), /pathMatching/);
+    });
+
+    it('should match "$" within a pattern as a character', () => {
+        const r = robotstxt('User-agent: *\nDisallow: /a$b\nDisallow: /c$\nDisallow: /d%24e$', { pathMatching: 'rfc9309' });
+
+        assert.strictEqual(r.isDisallowed('https://example.com/a$b', '*'), true);
+        assert.strictEqual(r.isDisallowed('/a%24b/c', '*'), true);
+        assert.strictEqual(r.isDisallowed('/c', '*'), true);
+        assert.strictEqual(r.isAllowed('/c/d', '*'), true);
+        assert.strictEqual(r.isDisallowed('/d$e', '*'), true);
+        assert.strictEqual(r.isAllowed('/d$ef', '*'), true);
+    });
+
+    it('should evaluate the RFC simple example', () => {
+        const r = robotstxt(content, { pathMatching: 'rfc9309' });
+
+        assert.strictEqual(r.isAllowed('https://www.example.com/example/page.html', 'foobot'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/example/allowed.gif', 'foobot'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/example/disallowed.gif', 'foobot'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/example/page.html', 'barbot'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/example/page.html', 'bazbot'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/example/index.html', 'bazbot'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/example/page.html', 'quxbot'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/image.gif', 'otherbot'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/example/', 'otherbot'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/publications/', 'otherbot'), true);
+    });
+
+    it('should use the longest match', () => {
+        const r = robotstxt(`User-Agent: *
+Allow: /example/page/
+Disallow: /example/page/disallowed.gif
+Allow: /example/pages
+Disallow: /example/page`, { pathMatching: 'rfc9309' });
+
+        assert.strictEqual(r.isDisallowed('https://www.example.com/example/page/disallowed.gif', '*'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/example/page/', '*'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/example/pages.html', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/example/page', '*'), true);
+    });
+
+    it('should prefer allow over an equivalent disallow rule', () => {
+        const r = robotstxt('User-Agent: *\nDisallow: /page\nAllow: /page', { pathMatching: 'rfc9309' });
+
+        assert.strictEqual(r.isAllowed('/page', '*'), true);
+    });
+
+    it('should match against path and query', () => {
+        const r = robotstxt('User-Agent: *\nDisallow: /search?q=', { pathMatching: 'rfc9309' });
+
+        assert.strictEqual(r.isDisallowed('https://www.example.com/search?q=robots', '*'), true);
+        assert.strictEqual(r.isDisallowed('/search?q=robots#results', '*'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/search', '*'), true);
+        assert.strictEqual(robotstxt('User-Agent: *\nDisallow: /search?q=').isAllowed('https://www.example.com/search?q=robots', '*'), true);
+    });
+
+    it('should normalize percent-encoding', () => {
+        const r = robotstxt(`User-Agent: *
+Disallow: /foo/bar?baz=https%3A%2F%2Ffoo.bar
+Disallow: /foo/bar/ツ
+Disallow: /foo/bar/%62%61%7A
+Disallow: /path/file-with-a-%2A.html
+Disallow: /path/foo-%24
+Disallow: /a%2Fb`, { pathMatching: 'rfc9309' });
+
+        assert.deepStrictEqual(r.getGroup('*').getRules().map(rule => rule.path), [
+            '/foo/bar?baz=https%3A%2F%2Ffoo.bar',
+            '/foo/bar/%E3%83%84',
+            '/foo/bar/baz',
+            '/path/file-with-a-%2A.html',
+            '/path/foo-%24',
+            '/a%2Fb'
+        ]);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/foo/bar?baz=https%3a%2f%2ffoo.bar', '*'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/foo/bar?baz=https://foo.bar', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/foo/bar/ツ', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/foo/bar/%E3%83%84', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/foo/bar/baz', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/path/file-with-a-*.html', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/path/foo-$', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/a%2fb', '*'), true);
+        assert.strictEqual(r.isAllowed('https://www.example.com/a/b', '*'), true);
+    });
+
+    it('should implicitly allow /robots.txt', () => {
+        const r = robotstxt('User-Agent: *\nDisallow: /', { pathMatching: 'rfc9309' });
+
+        assert.strictEqual(r.isAllowed('https://www.example.com/robots.txt', '*'), true);
+        assert.strictEqual(r.isDisallowed('https://www.example.com/robots.txt.bak', '*'), true);
+    });
+});
+
+describe('Explain match decisions', () => {
+    const content = `# Example robots.txt
+User-agent: *
+Disallow: /private
+Allow: /private/public
+
+User-agent: Googlebot
+Disallow: /*.pdf$`;
+
+    it('should return the winning rule, its line and all matching rules', () => {
+        const r = robotstxt(content);
+        const explanation = r.explain('https://example.com/private/public/page.html', 'SomeBot');
+
+        assert.strictEqual(explanation.allowed, true);
+        assert.strictEqual(explanation.rule.type, 'allow');
+        assert.strictEqual(explanation.rule.path, '/private/public');
+        assert.strictEqual(explanation.line, 4);
+        assert.strictEqual(explanation.group, r.getGroup('*'));
+        assert.deepStrictEqual(explanation.matches.map(match => [match.rule.path, match.specificity, match.line]), [
+            ['/private', 8, 3],
+            ['/private/public', 15, 4]
+        ]);
+    });
+
+    it('should explain disallowed URLs for a specific user agent', () => {
+        const r = robotstxt(content);
+        const explanation = r.explain('/docs/manual.pdf', 'Googlebot');
+
+        assert.strictEqual(explanation.allowed, false);
+        assert.strictEqual(explanation.rule.path, '/*.pdf$');
+        assert.strictEqual(explanation.line, 7);
+        assert.strictEqual(explanation.group.getName(), 'Googlebot');
+        assert.strictEqual(r.isAllowed('/docs/manual.pdf', 'Googlebot'), explanation.allowed);
+    });
+
+    it('should explain URLs without matching rule', () => {
+        const r = robotstxt(content);
+        const explanation = r.explain('/public', 'SomeBot');
+
+        assert.strictEqual(explanation.allowed, true);
+        assert.strictEqual(explanation.rule, undefined);
+        assert.strictEqual(explanation.line, undefined);
+        assert.strictEqual(explanation.group, r.getGroup('*'));
+        assert.deepStrictEqual(explanation.matches, []);
+    });
+
+    it('should keep rule line numbers', () => {
+        const r = robotstxt(content);
+        const group = r.getGroup('*');
+
+        group.addRule('disallow', '/tmp');
+
+        assert.deepStrictEqual(group.getRules().map(rule => rule.getLine()), [3, 4, undefined]);
+    });
+
+    it('should throw if parameters are missing', () => {
+        const r = robotstxt(content);
+
+        assert.throws(() => r.explain(), /"url" parameter is required/);
+        assert.throws(() => r.explain('/'), /"userAgent" parameter is required/);
+    });
+});
+
+describe('Structured reports', () => {
+    it('should report invalid values with code, severity and position', () => {
+        const r = robotstxt('User-agent: *\n  Crawl-delay:  fast # comment');
+
+        assert.deepStrictEqual(r.getReports(), [{
+            code: 'invalid-crawl-delay',
+            severity: 'error',
+            message: 'Invalid Crawl-Delay directive value: "fast".',
+            line: 2,
+            column: 17,
+            directive: 'crawl-delay',
+            value: 'fast'
+        }]);
+    });
+
+    it('should report lines without colon separator', () => {
+        const r = robotstxt('User-agent: *\nDisallow /private');
+        const report = r.getReports()[0];
+
+        assert.strictEqual(report.code, 'missing-separator');
+        assert.strictEqual(report.severity, 'warning');
+        assert.strictEqual(report.line, 2);
+        assert.strictEqual(report.column, 1);
+        assert.strictEqual(report.directive, undefined);
+        assert.strictEqual(report.value, 'Disallow /private');
+    });
+
+    it('should report unknown directives', () => {
+        const r = robotstxt('User-agent: *\n Dissallow: /private');
+
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line, report.column, report.directive]), [
+            ['unknown-directive', 2, 2, 'dissallow']
+        ]);
+    });
+
+    it('should report empty values', () => {
+        const r = robotstxt('User-agent: *\nDisallow:\nCrawl-delay: # comment');
+
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.severity, report.line, report.directive]), [
+            ['empty-value', 'info', 2, 'disallow'],
+            ['empty-value', 'warning', 3, 'crawl-delay']
+        ]);
+    });
+
+    it('should report rules before any User-agent', () => {
+        const r = robotstxt('Disallow: /private\nAllow: /public\nUser-agent: Googlebot\nDisallow: /');
+
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line, report.directive]), [
+            ['missing-user-agent', 1, 'disallow']
+        ]);
+    });
+
+    it('should report duplicate Host directives', () => {
+        const r = robotstxt('Host: example.com\nHost: www.example.com');
+
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line, report.value]), [
+            ['duplicate-host', 2, 'www.example.com']
+        ]);
+    });
+
+    it('should not report valid robots.txt', () => {
+        const r = robotstxt('# comment\nUser-agent: *\nDisallow: /private\n\nSitemap: https://example.com/sitemap.xml');
+
+        assert.deepStrictEqual(r.getReports(), []);
+    });
+});
+
+describe('Serializer', () => {
+    const snapshot = r => ({
+        groups: r.groups.map(group => ({
+            userAgent: group.getName(),
+            crawlDelay: group.getCrawlDelay(),
+            cacheDelay: group.getCacheDelay(),
+            comment: group.getComment(),
+            robotVersion: group.getRobotVersion(),
+            visitTime: group.getVisitTime(),
+            requestRates: group.getRequestRates(),
+            rules: group.getRules().map(rule => [rule.type, rule.path])
+        })).sort((a, b) => a.userAgent < b.userAgent ? -1 : 1),
+        sitemaps: r.getSitemaps(),
+        cleanParams: r.getCleanParams(),
+        host: r.getHost()
+    });
+
+    const content = `Sitemap: https://example.com/sitemap.xml
+user-agent: Googlebot
+disallow: /private # comment
+allow: /private/public
+crawl-delay: 5
+
+User-agent: Bingbot
+Disallow: /private
+Allow: /private/public
+Crawl-delay: 5
+
+User-agent: vacuumweb
+Visit-time: 0600-0845
+Request-rate: 1/10m 1300-1659
+Robot-version: 2.0
+Comment: be nice
+Cache-delay: 10
+Noindex: /drafts
+Disallow: /folder%20name
+
+User-agent: quxbot
+Clean-param: ref /catalog/
+Host: example.com`;
+
+    it('should serialize groups and global directives in canonical order', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.serialize(), `User-agent: Googlebot
+Crawl-delay: 5
+Disallow: /private
+Allow: /private/public
+
+User-agent: Bingbot
+Crawl-delay: 5
+Disallow: /private
+Allow: /private/public
+
+User-agent: vacuumweb
+Comment: be nice
+Robot-version: 2.0
+Request-rate: 1/10m 1300-1659
+Visit-time: 0600-0845
+Cache-delay: 10
+Noindex: /drafts
+Disallow: /folder%20name
+
+User-agent: quxbot
+
+Sitemap: https://example.com/sitemap.xml
+Clean-param: ref /catalog/
+Host: example.com
+`);
+        assert.strictEqual(String(r), r.serialize());
+    });
+
+    it('should produce the same result when re-parsed', () => {
+        const r = robotstxt(content);
+
+        assert.deepStrictEqual(snapshot(robotstxt(r.serialize())), snapshot(r));
+        assert.deepStrictEqual(snapshot(robotstxt(r.serialize({ mergeGroups: true }))), snapshot(r));
+    });
+
+    it('should merge groups sharing identical directives', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.serialize({ mergeGroups: true }).split('\n\n')[0], `User-agent: Googlebot
+User-agent: Bingbot
+Crawl-delay: 5
+Disallow: /private
+Allow: /private/public`);
+    });
+
+    it('should drop Comment directives on request', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.serialize({ comments: false }).indexOf('Comment:'), -1);
+    });
+
+    it('should serialize empty robots.txt', () => {
+        assert.strictEqual(robotstxt('').serialize(), '');
+    });
+});
+
+describe('Builder', () => {
+    it('should build a working parser', () => {
+        const r = robotstxt.builder()
+            .group(['Googlebot', 'Bingbot'])
+            .disallow('/admin')
+            .allow('/admin/public')
+            .crawlDelay(5)
+            .group('*')
+            .disallow('/')
+            .sitemap('https://example.com/sitemap.xml')
+            .build();
+
+        assert.strictEqual(r.isDisallowed('/admin', 'Googlebot'), true);
+        assert.strictEqual(r.isAllowed('/admin/public', 'Bingbot'), true);
+        assert.strictEqual(r.isDisallowed('/page', 'SomeBot'), true);
+        assert.strictEqual(r.getGroup('bingbot').getCrawlDelay(), 5);
+        assert.deepStrictEqual(r.getSitemaps(), ['https://example.com/sitemap.xml']);
+        assert.deepStrictEqual(r.getReports(), []);
+    });
+
+    it('should render robots.txt content', () => {
+        const builder = robotstxt.builder()
+            .group('emptybot')
+            .group('vacuumweb')
+            .comment('be nice')
+            .robotVersion('2.0')
+            .requestRate('1/10m 1300-1659')
+            .visitTime('0600-0845')
+            .cacheDelay(10)
+            .noindex('/folder name')
+            .cleanParam('ref /catalog/')
+            .host('example.com');
+
+        assert.strictEqual(builder.toString(), `User-agent: vacuumweb
+Comment: be nice
+Robot-version: 2.0
+Request-rate: 1/10m 1300-1659
+Visit-time: 0600-0845
+Cache-delay: 10
+Noindex: /folder%20name
+
+User-agent: emptybot
+
+Clean-param: ref /catalog/
+Host: example.com
+`);
+        assert.deepStrictEqual(builder.build().getGroup('vacuumweb').getRules().map(rule => rule.path), ['/folder name']);
+        assert.deepStrictEqual(builder.build().getGroup('emptybot').getRules(), []);
+    });
+
+    it('should pass parser options to the built parser', () => {
+        const r = robotstxt.builder({ pathMatching: 'rfc9309' }).group('*').disallow('/search?q=').build();
+
+        assert.strictEqual(r.isDisallowed('https://example.com/search?q=robots', '*'), true);
+    });
+
+    it('should validate directives as they are added', () => {
+        assert.throws(() => robotstxt.builder().disallow('/admin'), /group\(\)/);
+        assert.throws(() => robotstxt.builder().group([]), /"userAgents" parameter is required/);
+        assert.throws(() => robotstxt.builder().group('*').disallow(''), /"path" parameter is required/);
+        assert.throws(() => robotstxt.builder().group('*').crawlDelay('fast'), /Invalid Crawl-Delay directive value/);
+        assert.throws(() => robotstxt.builder().group('*').crawlDelay(0), /Crawl-Delay must be a positive number/);
+        assert.throws(() => robotstxt.builder().group('*').visitTime('2542-3199'), /Invalid Visit-time directive start-end time format/);
+        assert.throws(() => robotstxt.builder().sitemap(), /"Sitemap" parameter is required/);
+    });
+
+    it('should reject values that would inject lines or comments', () => {
+        assert.throws(() => robotstxt.builder().sitemap('https://example.com/sitemap.xml\nDisallow: /'), /"Sitemap" parameter must not contain line breaks/);
+        assert.throws(() => robotstxt.builder().group('a\nDisallow: /'), /"userAgents" parameter must not contain line breaks/);
+        assert.throws(() => robotstxt.builder().group('*').disallow('/a\r/b'), /"path" parameter must not contain line breaks/);
+        assert.throws(() => robotstxt.builder().group('*').comment('hello # world'), /"Comment" parameter must not contain "#"/);
+        assert.throws(() => robotstxt.builder().group('*').allow('#top'), /"path" parameter must not contain "#"/);
+
+        const r = robotstxt.builder().group('*').comment('issue#1').disallow('/page#section').build();
+
+        assert.deepStrictEqual(r.getGroup('*').getComment(), ['issue#1']);
+        assert.strictEqual(r.getGroup('*').getRules()[0].path, '/page#section');
+    });
+
+    it('should honour the parser options when adding directives', () => {
+        assert.throws(() => robotstxt.builder({ maxPatternLength: 10 }).group('*').disallow(`/${'a'.repeat(20)}`), /"path" parameter must not be longer than 10 characters/);
+        assert.throws(() => robotstxt.builder({ profile: 'google' }).group('*').crawlDelay(5), /Crawl-delay directive is not supported by the google profile/);
+        assert.throws(() => robotstxt.builder({ profile: 'google' }).host('example.com'), /Host directive is not supported by the google profile/);
+        assert.strictEqual(robotstxt.builder({ profile: 'bing' }).group('*').crawlDelay(5).build().getGroup('*').getCrawlDelay(), 5);
+    });
+});
+
+describe('User agent matching', () => {
+    const content = `User-agent: *
+Disallow: /
+
+User-agent: Googlebot
+Disallow: /private
+
+User-agent: Googlebot-News
+Disallow: /news
+
+User-agent: Bingbot/2.0
+Disallow: /bing`;
+
+    it('should throw on unknown user agent matching policy', () => {
+        assert.throws(() => robotstxt('', { userAgentMatching: 'unknown' }), /userAgentMatching/);
+    });
+
+    it('should extract the product token from a full User-Agent header', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.isAllowed('/page', 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'), true);
+        assert.strictEqual(r.isAllowed('/page', 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; Googlebot/2.1; +http://www.google.com/bot.html) Chrome/120.0.0.0 Safari/537.36'), true);
+        assert.strictEqual(r.isDisallowed('/news', 'Googlebot-News'), true);
+        assert.strictEqual(r.isAllowed('/private', 'Googlebot-News/1.0'), true);
+        assert.strictEqual(r.isDisallowed('/page', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Firefox/120.0'), true);
+    });
+
+    it('should match product tokens exactly with RFC 9309 policy', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.isDisallowed('/page', 'Googlebot-Image/1.0'), true);
+        assert.strictEqual(r.isDisallowed('/page', 'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)'), true);
+        assert.strictEqual(r.isAllowed('/page', 'Bingbot/2.0'), true);
+    });
+
+    it('should fall back to shorter product tokens with Google policy', () => {
+        const r = robotstxt(content, { userAgentMatching: 'google' });
+
+        assert.strictEqual(r.isAllowed('/page', 'Googlebot-Image/1.0'), true);
+        assert.strictEqual(r.isDisallowed('/private', 'Googlebot-Image/1.0'), true);
+        assert.strictEqual(r.isDisallowed('/news', 'Googlebot-News'), true);
+        assert.strictEqual(r.isAllowed('/private', 'Googlebot-News'), true);
+        assert.strictEqual(r.isDisallowed('/page', 'Bot-Image'), true);
+    });
+
+    it('should ignore group name versions with Google policy', () => {
+        const r = robotstxt(content, { userAgentMatching: 'google' });
+
+        assert.strictEqual(r.isDisallowed('/bing', 'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)'), true);
+        assert.strictEqual(r.isAllowed('/page', 'bingbot'), true);
+    });
+
+    it('should explain the group picked for a full User-Agent header', () => {
+        const r = robotstxt(content, { userAgentMatching: 'google' });
+
+        assert.strictEqual(r.explain('/page', 'Googlebot-Video/1.0').group.getName(), 'Googlebot');
+    });
+});
+
+describe('Lossless document', () => {
+    const content = '# Robots for example.com\r\n' +
+        'User-agent: Googlebot   # main crawler\r\n' +
+        '  Disallow:   /private    # keep out\r\n' +
+        'Crawl-delay : 10 # be gentle\r\n' +
+        'Unknown-directive: value\r\n' +
+        'this line has no colon\r\n' +
+        '\r\n' +
+        'User-agent: *\r\n' +
+        'Disallow: /tmp\r\n';
+
+    it('should render unmodified content byte-for-byte', () => {
+        const doc = robotstxt.document(content);
+
+        assert.strictEqual(doc.toString(), content);
+        assert.strictEqual(robotstxt.document('').toString(), '');
+        assert.strictEqual(robotstxt.document('User-agent: *\rDisallow: /\n').toString(), 'User-agent: *\rDisallow: /\n');
+    });
+
+    it('should record raw text, tokens, comments and positions of every line', () => {
+        const lines = robotstxt.document(content).getLines();
+
+        assert.strictEqual(lines.length, 10);
+        assert.deepStrictEqual(lines.map(line => line.type), ['comment', 'directive', 'directive', 'directive', 'directive', 'invalid', 'blank', 'directive', 'directive', 'blank']);
+        assert.deepStrictEqual(lines[2], {
+            index: 2,
+            raw: '  Disallow:   /private    # keep out',
+            eol: '\r\n',
+            type: 'directive',
+            directive: 'disallow',
+            value: '/private',
+            comment: '# keep out',
+            column: 3,
+            valueColumn: 15,
+            tokens: [
+                { type: 'whitespace', text: '  ', column: 1 },
+                { type: 'directive', text: 'Disallow', column: 3 },
+                { type: 'separator', text: ':', column: 11 },
+                { type: 'whitespace', text: '   ', column: 12 },
+                { type: 'value', text: '/private', column: 15 },
+                { type: 'whitespace', text: '    ', column: 23 },
+                { type: 'comment', text: '# keep out', column: 27 }
+            ]
+        });
+        assert.strictEqual(lines[0].comment, '# Robots for example.com');
+        assert.strictEqual(lines[3].directive, 'crawl-delay');
+        assert.strictEqual(lines[4].directive, 'unknown-directive');
+        assert.strictEqual(lines[5].value, 'this line has no colon');
+        lines.forEach(line => assert.strictEqual(line.tokens.map(token => token.text).join(''), line.raw));
+    });
+
+    it('should add rules keeping untouched lines identical', () => {
+        const doc = robotstxt.document(content)
+            .addRule('googlebot', 'allow', '/private/public')
+            .addRule('Bingbot', 'disallow', '/');
+
+        assert.strictEqual(doc.toString(), '# Robots for example.com\r\n' +
+            'User-agent: Googlebot   # main crawler\r\n' +
+            '  Disallow:   /private    # keep out\r\n' +
+            'Crawl-delay : 10 # be gentle\r\n' +
+            'Allow: /private/public\r\n' +
+            'Unknown-directive: value\r\n' +
+            'this line has no colon\r\n' +
+            '\r\n' +
+            'User-agent: *\r\n' +
+            'Disallow: /tmp\r\n' +
+            '\r\n' +
+            'User-agent: Bingbot\r\n' +
+            'Disallow: /\r\n');
+        assert.strictEqual(doc.toParser().isAllowed('/private/public', 'Googlebot'), true);
+        assert.strictEqual(doc.toParser().isDisallowed('/page', 'Bingbot'), true);
+    });
+
+    it('should remove rules keeping untouched lines identical', () => {
+        const doc = robotstxt.document(content).removeRule('Googlebot', 'disallow', '/private');
+
+        assert.strictEqual(doc.toString(), content.replace('  Disallow:   /private    # keep out\r\n', ''));
+        assert.strictEqual(doc.getLines()[2].index, 2);
+    });
+
+    it('should change Crawl-delay keeping its formatting', () => {
+        const doc = robotstxt.document(content).setCrawlDelay('Googlebot', 5);
+
+        assert.strictEqual(doc.toString(), content.replace('Crawl-delay : 10 # be gentle', 'Crawl-delay : 5 # be gentle'));
+        assert.strictEqual(doc.toParser().getGroup('Googlebot').getCrawlDelay(), 5);
+    });
+
+    it('should keep emptied groups from joining the next group', () => {
+        const content = 'User-agent: *\nDisallow: /a\n\nUser-agent: bot\nCrawl-delay: 5\n\nUser-agent: other\nDisallow: /b';
+        const doc = robotstxt.document(content).removeRule('*', 'disallow', '/a').setCrawlDelay('bot', undefined);
+        const r = doc.toParser();
+
+        assert.strictEqual(doc.toString(), 'User-agent: *\nDisallow:\n\nUser-agent: bot\nDisallow:\n\nUser-agent: other\nDisallow: /b');
+        assert.strictEqual(r.isAllowed('/b', 'anybot'), true);
+        assert.strictEqual(r.isAllowed('/b', 'bot'), true);
+        assert.strictEqual(r.isAllowed('/b', 'other'), false);
+        assert.deepStrictEqual(r.getGroup('other').getBlocks().map(block => block.userAgents), [['other']]);
+    });
+
+    it('should accept rule types in any case', () => {
+        const doc = robotstxt.document('User-agent: a\nDisallow: /x\nAllow: /y');
+
+        assert.strictEqual(doc.removeRule('a', 'Disallow', '/x').toString(), 'User-agent: a\nAllow: /y');
+        assert.strictEqual(doc.addRule('a', 'NOINDEX', '/z').toString(), 'User-agent: a\nAllow: /y\nNoindex: /z');
+    });
+
+    it('should add and remove Crawl-delay', () => {
+        const doc = robotstxt.document('User-agent: *\nDisallow: /tmp')
+            .setCrawlDelay('*', 3);
+
+        assert.strictEqual(doc.toString(), 'User-agent: *\nCrawl-delay: 3\nDisallow: /tmp');
+        assert.strictEqual(doc.setCrawlDelay('*', undefined).toString(), 'User-agent: *\nDisallow: /tmp');
+        assert.strictEqual(doc.setCrawlDelay('Bingbot', 1).toString(), 'User-agent: *\nDisallow: /tmp\n\nUser-agent: Bingbot\nCrawl-delay: 1');
+    });
+
+    it('should validate edits', () => {
+        const doc = robotstxt.document(content);
+
+        assert.throws(() => doc.addRule('*', 'block', '/'), /"type" parameter must be one of/);
+        assert.throws(() => doc.removeRule('*', 'block', '/'), /"type" parameter must be one of/);
+        assert.throws(() => doc.removeRule('*', undefined, '/'), /"type" parameter must be one of/);
+        assert.throws(() => doc.addRule('*', 'disallow', '/tmp\nDisallow: /'), /"path" parameter must not contain line breaks/);
+        assert.throws(() => doc.addRule('NewBot\r\nDisallow: /', 'disallow', '/tmp'), /"userAgent" parameter must not contain line breaks/);
+        assert.throws(() => doc.addRule('*', 'disallow', '/tmp #x'), /"path" parameter must not contain "#"/);
+        assert.throws(() => doc.removeRule('*', 'disallow', '/a\nb'), /"path" parameter must not contain line breaks/);
+        assert.throws(() => doc.setCrawlDelay('NewBot\nDisallow: /', 1), /"userAgent" parameter must not contain line breaks/);
+        assert.throws(() => doc.setCrawlDelay('*', 0), /"seconds" parameter must be a positive number/);
+        assert.throws(() => robotstxt.document(), /"content" parameter is required/);
+    });
+});
+
+describe('Compiled matcher', () => {
+    const content = `User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+Allow: /folder
+Disallow: /folder
+Disallow: /page
+Allow: /*.htm
+Noindex: /drafts
+
+User-agent: Googlebot
+Disallow: /
+Allow: /$
+
+User-agent: Bingbot
+Disallow:`;
+
+    const urls = ['/', '/private', '/private/public/index.html', '/doc.pdf', '/doc.pdf?download', '/folder/page', '/page.htm', '/drafts/post', 'https://example.com/', 'https://example.com/page'];
+
+    it('should give the same decisions as isAllowed', () => {
+        const r = robotstxt(content);
+
+        ['*', 'Googlebot', 'Bingbot', 'Mozilla/5.0 (compatible; Googlebot/2.1)'].forEach(userAgent => {
+            const matcher = r.compile(userAgent);
+
+            urls.forEach(url => {
+                assert.strictEqual(matcher.isAllowed(url), r.isAllowed(url, userAgent), `${userAgent} ${url}`);
+                assert.strictEqual(matcher.isDisallowed(url), r.isDisallowed(url, userAgent), `${userAgent} ${url}`);
+                assert.strictEqual(matcher.match(url), r.explain(url, userAgent).rule, `${userAgent} ${url}`);
+            });
+        });
+    });
+
+    it('should return the winning rule', () => {
+        const matcher = robotstxt(content).compile('SomeBot');
+
+        assert.strictEqual(matcher.match('/private/public').path, '/private/public');
+        assert.strictEqual(matcher.match('/folder').type, 'allow');
+        assert.strictEqual(matcher.match('/public'), undefined);
+    });
+
+    it('should treat rules with an empty path as matching nothing', () => {
+        const r = robotstxt('User-agent: *\nDisallow: /private');
+
+        r.getGroup('*').addRule('disallow', '');
+        r.getGroup('*').addRule('allow', '');
+
+        assert.strictEqual(r.isAllowed('/page', '*'), true);
+        assert.strictEqual(r.isDisallowed('/private', '*'), true);
+        assert.strictEqual(r.compile('*').isAllowed('/page'), true);
+        assert.strictEqual(r.compile('*').isDisallowed('/private'), true);
+        assert.strictEqual(r.explain('/page', '*').matches.length, 0);
+    });
+
+    it('should only check rules whose literal prefix starts the path', () => {
+        const lines = ['User-agent: *', 'Disallow: /*.pdf$', 'Allow: /section1*'];
+
+        for (let index = 0; index < 10000; index++) lines.push(`Disallow: /section${index}/page`);
+
+        const r = robotstxt(lines.join('\n'));
+        const matcher = r.compile('*');
+        let checks = 0;
+
+        matcher.entries.forEach(entry => {
+            const match = entry.rule.match.bind(entry.rule);
+
+            entry.rule.match = path => {
+                checks++;
+                return match(path);
+            };
+        });
+
+        assert.strictEqual(matcher.isAllowed('/other/page'), true);
+        assert.strictEqual(checks, 1, 'Only the rule with the literal prefix "/" should be checked');
+        assert.strictEqual(matcher.match('/section12/page').path, '/section12/page');
+        assert.strictEqual(matcher.match('/section1/doc.pdf').path, '/section1*');
+        assert.strictEqual(matcher.match('/doc.pdf').path, '/*.pdf$');
+    });
+
+    it('should honour RFC 9309 path matching', () => {
+        const matcher = robotstxt('User-agent: *\nDisallow: /', { pathMatching: 'rfc9309' }).compile('*');
+
+        assert.strictEqual(matcher.isAllowed('https://example.com/robots.txt'), true);
+        assert.strictEqual(matcher.isDisallowed('https://example.com/?q=1'), true);
+    });
+
+    it('should throw if parameters are missing', () => {
+        const r = robotstxt(content);
+
+        assert.throws(() => r.compile(), /"userAgent" parameter is required/);
+        assert.throws(() => r.compile('*').isAllowed(), /"url" parameter is required/);
+    });
+});
+
+describe('Batch evaluation', () => {
+    const content = `User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /tmp
+Noindex: /drafts
+
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /ads
+Disallow: /ads/old
+
+User-agent: Yandex
+Disallow:`;
+
+    const urls = ['/', '/private/data', '/private/public/page', '/ads/banner', 'https://example.com/private?q=1'];
+
+    it('should return a verdict matrix matching isAllowed', () => {
+        const r = robotstxt(content);
+        const userAgents = ['*', 'Googlebot', 'Yandex'];
+        const result = r.evaluateBatch(urls, userAgents);
+
+        assert.deepStrictEqual(result.userAgents, userAgents);
+        assert.deepStrictEqual(result.urls, urls);
+        urls.forEach((url, row) => {
+            assert.deepStrictEqual(result.verdicts[row], userAgents.map(userAgent => r.isAllowed(url, userAgent)), url);
+        });
+    });
+
+    it('should count the URLs decided and blocked by each rule', () => {
+        const result = robotstxt(content).evaluateBatch(urls, ['*', 'Googlebot', 'Bingbot']);
+
+        assert.deepStrictEqual(result.rules.map(stat => [stat.rule.type, stat.rule.path, stat.userAgents, stat.decided, stat.blocked]), [
+            ['disallow', '/private', ['*'], 2, 2],
+            ['allow', '/private/public', ['*'], 1, 0],
+            ['disallow', '/tmp', ['*'], 0, 0],
+            ['disallow', '/ads', ['Googlebot'], 1, 1],
+            ['disallow', '/ads', ['Bingbot'], 1, 1],
+            ['disallow', '/ads/old', ['Googlebot'], 0, 0],
+            ['disallow', '/ads/old', ['Bingbot'], 0, 0]
+        ]);
+        assert.deepStrictEqual(result.deadRules.map(rule => rule.path), ['/tmp', '/ads/old', '/ads/old']);
+    });
+
+    it('should count a rule shared by several user agents once per URL', () => {
+        const result = robotstxt(content).evaluateBatch(urls, ['SomeBot', 'OtherBot']);
+
+        assert.deepStrictEqual(result.rules[0].userAgents, ['SomeBot', 'OtherBot']);
+        assert.strictEqual(result.rules[0].blocked, 2);
+        assert.deepStrictEqual(result.divergent, []);
+    });
+
+    it('should evaluate a single URL', () => {
+        const result = robotstxt(content).evaluateBatch('/private/data', '*');
+
+        assert.deepStrictEqual(result.urls, ['/private/data']);
+        assert.deepStrictEqual(result.verdicts, [[false]]);
+    });
+
+    it('should list URLs that differ across user agents', () => {
+        const result = robotstxt(content).evaluateBatch(urls, ['*', 'Googlebot', 'Yandex']);
+
+        assert.deepStrictEqual(result.divergent, ['/private/data', '/ads/banner', 'https://example.com/private?q=1']);
+    });
+
+    it('should stream URLs from an async iterable', () => {
+        const r = robotstxt(content);
+
+        function* generate() {
+            yield* urls;
+        }
+
+        const source = { [Symbol.asyncIterator]: () => {
+            const iterator = generate();
+
+            return { next: () => Promise.resolve(iterator.next()) };
+        } };
+        const result = r.evaluateBatch(source, 'Googlebot');
+
+        assert(result instanceof Promise);
+
+        return result.then(evaluation => {
+            assert.deepStrictEqual(evaluation, r.evaluateBatch(urls, 'Googlebot'));
+        });
+    });
+
+    it('should stream large async iterables in linear time', () => {
+        let index = 0;
+        const source = { [Symbol.asyncIterator]: () => ({
+            next: () => Promise.resolve(index < 100000 ? { done: false, value: `/private/${index++}` } : { done: true })
+        }) };
+
+        return robotstxt(content).evaluateBatch(source, ['*', 'Yandex']).then(result => {
+            assert.strictEqual(result.urls.length, 100000);
+            assert.strictEqual(result.divergent.length, 100000);
+            assert.strictEqual(result.rules[0].blocked, 100000);
+        });
+    });
+
+    it('should throw if parameters are missing', () => {
+        const r = robotstxt(content);
+
+        assert.throws(() => r.evaluateBatch(), /"urls" parameter is required/);
+        assert.throws(() => r.evaluateBatch(urls), /"userAgents" parameter is required/);
+    });
+});
+
+describe('Fetcher', () => {
+    let server, baseUrl, handler, requests, clock;
+
+    // Minimal WHATWG fetch compatible client
+    const httpFetch = url => new Promise((resolve, reject) => {
+        http.get(url, response => {
+            let body = '';
+
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                body += chunk;
+            });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: { get: name => response.headers[name.toLowerCase()] || null },
+                text: () => Promise.resolve(body)
+            }));
+        }).on('error', reject);
+    });
+
+    const createFetcher = options => robotstxt.fetcher(Object.assign({ fetch: httpFetch, now: () => clock }, options));
+
+    before(done => {
+        server = http.createServer((request, response) => {
+            requests.push(request.url);
+            handler(request, response);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        requests = [];
+        clock = 1000;
+        handler = (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'text/plain' });
+            response.end('User-agent: *\nDisallow: /private');
+        };
+    });
+
+    it('should parse robots.txt of the URL origin', () => createFetcher().fetch(`${baseUrl}/some/page?q=1`).then(r => {
+        assert.deepStrictEqual(requests, ['/robots.txt']);
+        assert.strictEqual(r.isDisallowed('/private', '*'), true);
+        assert.deepStrictEqual(r.getSource(), {
+            url: `${baseUrl}/robots.txt`,
+            finalUrl: `${baseUrl}/robots.txt`,
+            status: 200,
+            state: 'ok',
+            redirects: 0,
+            truncated: false,
+            fetchedAt: 1000,
+            expiresAt: 1000 + 24 * 60 * 60 * 1000,
+            error: undefined
+        });
+    }));
+
+    it('should resolve sitemaps against the robots.txt URL', () => {
+        handler = (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'text/plain' });
+            response.end('Sitemap: /sitemap.xml');
+        };
+
+        return createFetcher().fetch(baseUrl).then(r => {
+            assert.deepStrictEqual(r.getSitemapEntries(), [{ url: `${baseUrl}/sitemap.xml`, type: 'sitemap', line: 1 }]);
+        });
+    });
+
+    it('should allow everything when robots.txt is unavailable (4xx)', () => {
+        handler = (request, response) => {
+            response.writeHead(404);
+            response.end('User-agent: *\nDisallow: /');
+        };
+
+        return createFetcher().fetch(baseUrl).then(r => {
+            assert.strictEqual(r.isAllowed('/private', '*'), true);
+            assert.strictEqual(r.getSource().state, 'unavailable');
+            assert.strictEqual(r.getSource().status, 404);
+        });
+    });
+
+    it('should disallow everything when robots.txt is unreachable (5xx)', () => {
+        handler = (request, response) => {
+            response.writeHead(503);
+            response.end();
+        };
+
+        const fetcher = createFetcher();
+
+        return fetcher.fetch(baseUrl).then(r => {
+            assert.strictEqual(r.isDisallowed('/', '*'), true);
+            assert.strictEqual(r.getSource().state, 'unreachable');
+            assert.strictEqual(r.getSource().status, 503);
+
+            return fetcher.fetch(baseUrl);
+        }).then(() => {
+            assert.strictEqual(requests.length, 2, 'Unreachable robots.txt should not be cached');
+        });
+    });
+
+    it('should disallow everything on network errors', () => {
+        const error = new Error('ECONNREFUSED');
+
+        return robotstxt.fetcher({ fetch: () => Promise.reject(error) }).fetch('https://example.com/').then(r => {
+            assert.strictEqual(r.isDisallowed('/', '*'), true);
+            assert.strictEqual(r.getSource().state, 'unreachable');
+            assert.strictEqual(r.getSource().error, error);
+        });
+    });
+
+    it('should follow up to five redirects', () => {
+        handler = (request, response) => {
+            const hop = Number(request.url.split('hop=')[1] || 0);
+
+            if (hop < 5) {
+                response.writeHead(301, { Location: `/robots.txt?hop=${hop + 1}` });
+                response.end();
+            } else {
+                response.writeHead(200);
+                response.end('User-agent: *\nDisallow: /redirected');
+            }
+        };
+
+        return createFetcher().fetch(baseUrl).then(r => {
+            assert.strictEqual(r.isDisallowed('/redirected', '*'), true);
+            assert.strictEqual(r.getSource().redirects, 5);
+            assert.strictEqual(r.getSource().finalUrl, `${baseUrl}/robots.txt?hop=5`);
+        });
+    });
+
+    it('should resolve relative Sitemap URLs against the redirect target', () => {
+        const targetUrl = baseUrl.replace('127.0.0.1', 'localhost');
+
+        handler = (request, response) => {
+            if (request.headers.host.indexOf('localhost') === 0) {
+                response.writeHead(200);
+                response.end('Sitemap: /sitemap.xml');
+            } else {
+                response.writeHead(301, { Location: `${targetUrl}/robots.txt` });
+                response.end();
+            }
+        };
+
+        return createFetcher().fetch(baseUrl).then(r => {
+            assert.deepStrictEqual(r.getSitemapEntries().map(entry => entry.url), [`${targetUrl}/sitemap.xml`]);
+            assert.deepStrictEqual(r.getReports().map(report => report.code), ['relative-sitemap']);
+            assert.strictEqual(r.getSource().url, `${baseUrl}/robots.txt`);
+        });
+    });
+
+    it('should treat robots.txt as unavailable after too many redirects', () => {
+        handler = (request, response) => {
+            response.writeHead(302, { Location: '/robots.txt?loop' });
+            response.end();
+        };
+
+        return createFetcher().fetch(baseUrl).then(r => {
+            assert.strictEqual(requests.length, 6);
+            assert.strictEqual(r.isAllowed('/', '*'), true);
+            assert.strictEqual(r.getSource().state, 'unavailable');
+            assert.strictEqual(r.getSource().status, 302);
+        });
+    });
+
+    it('should ignore content above the size limit', () => {
+        const lines = ['User-agent: *'];
+
+        for (let index = 0; index < 40000; index++) lines.push(`Disallow: /path-${index}`);
+
+        handler = (request, response) => {
+            response.writeHead(200);
+            response.end(lines.join('\n'));
+        };
+
+        return createFetcher().fetch(baseUrl).then(r => {
+            const rules = r.getGroup('*').getRules();
+
+            assert.strictEqual(r.getSource().truncated, true);
+            assert(rules.length > 1000 && rules.length < 40000, 'Rules above 500 KiB should be ignored');
+            assert.strictEqual(rules[rules.length - 1].path, `/path-${rules.length - 1}`, 'The line cut by the limit should be dropped');
+            assert.strictEqual(rules.some(rule => rule.path === '/path-39999'), false);
+            assert(r.getReports().some(report => report.code === 'content-truncated'));
+        });
+    });
+
+    it('should stop downloading response bodies at the size limit', () => {
+        const encoder = new TextEncoder();
+        let pulls = 0, cancelled = false;
+
+        // Endless body, only the first chunks may be read
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(encoder.encode('\uFEFFUser-agent: *\nDisallow: /private\n'));
+            },
+            pull(controller) {
+                pulls++;
+                controller.enqueue(encoder.encode(`Disallow: /path-${pulls}\n`));
+            },
+            cancel() {
+                cancelled = true;
+            }
+        });
+        const fetch = () => Promise.resolve({ status: 200, headers: { get: () => null }, body, text: () => Promise.reject(new Error('Body must be streamed')) });
+
+        return robotstxt.fetcher({ fetch, maxSize: 1024 }).fetch('https://example.com/').then(r => {
+            assert.strictEqual(cancelled, true);
+            assert(pulls < 100, 'Reading should stop at the size limit');
+            assert.strictEqual(r.getSource().truncated, true);
+            assert.strictEqual(r.isDisallowed('/private', '*'), true, 'A byte order mark should be removed');
+            assert.deepStrictEqual(r.getReports().map(report => report.code), ['content-truncated']);
+        });
+    });
+
+    it('should reject invalid URLs', () => createFetcher().fetch('not a url').then(() => {
+        assert.fail('Invalid URLs should be rejected');
+    }, error => {
+        assert(error instanceof TypeError);
+    }));
+
+    it('should cache parsers for 24 hours', () => {
+        const fetcher = createFetcher();
+        let first;
+
+        return fetcher.fetch(baseUrl).then(r => {
+            first = r;
+            clock += 24 * 60 * 60 * 1000 - 1;
+
+            return fetcher.fetch(`${baseUrl}/other`);
+        }).then(r => {
+            assert.strictEqual(r, first);
+            assert.strictEqual(requests.length, 1);
+            clock += 1;
+
+            return fetcher.fetch(baseUrl);
+        }).then(r => {
+            assert.notStrictEqual(r, first);
+            assert.strictEqual(requests.length, 2);
+            fetcher.clear();
+
+            return fetcher.fetch(baseUrl);
+        }).then(() => {
+            assert.strictEqual(requests.length, 3);
+        });
+    });
+
+    it('should keep using the cached copy while robots.txt is unreachable', () => {
+        const fetcher = createFetcher();
+        let first;
+
+        return fetcher.fetch(baseUrl).then(r => {
+            first = r;
+            clock += 25 * 60 * 60 * 1000;
+            handler = (request, response) => {
+                response.writeHead(500);
+                response.end();
+            };
+
+            return fetcher.fetch(baseUrl);
+        }).then(r => {
+            assert.strictEqual(r, first);
+            assert.strictEqual(requests.length, 2);
+        });
+    });
+
+    it('should share concurrent requests', () => {
+        const fetcher = createFetcher();
+
+        return Promise.all([fetcher.fetch(baseUrl), fetcher.fetch(`${baseUrl}/page`)]).then(parsers => {
+            assert.strictEqual(parsers[0], parsers[1]);
+            assert.strictEqual(requests.length, 1);
+        });
+    });
+
+    it('should pass parser options', () => createFetcher({ parserOptions: { pathMatching: 'rfc9309' } }).fetch(baseUrl).then(r => {
+        assert.strictEqual(r.isAllowed(`${baseUrl}/robots.txt`, '*'), true);
+        assert.strictEqual(r.isDisallowed(`${baseUrl}/private?q=1`, '*'), true);
+    }));
+
+    it('should require a fetch function', () => {
+        assert.throws(() => robotstxt.fetcher({ fetch: null }), /"fetch" option is required/);
+    });
+});
+
+describe('Registry', () => {
+    const createRegistry = options => robotstxt.registry(options)
+        .set('https://example.com/robots.txt', robotstxt('User-agent: *\nDisallow: /private'))
+        .set('http://example.com', robotstxt('User-agent: *\nDisallow: /'))
+        .set('https://example.com:8443/', robotstxt('User-agent: *\nDisallow: /admin'));
+
+    it('should evaluate URLs against the parser of their origin', () => {
+        const registry = createRegistry();
+
+        assert.strictEqual(registry.isDisallowed('https://example.com/private', 'MyBot'), true);
+        assert.strictEqual(registry.isAllowed('https://example.com/public', 'MyBot'), true);
+        assert.strictEqual(registry.isDisallowed('http://example.com/public', 'MyBot'), true);
+        assert.strictEqual(registry.isAllowed('https://example.com:8443/private', 'MyBot'), true);
+        assert.strictEqual(registry.isDisallowed('https://EXAMPLE.com:8443/admin', 'MyBot'), true);
+    });
+
+    it('should treat default ports as part of the origin', () => {
+        const registry = createRegistry();
+
+        assert.strictEqual(registry.get('https://example.com:443/page'), registry.get('https://example.com/'));
+        assert.strictEqual(registry.get('http://example.com:80/page'), registry.get('http://example.com/'));
+        assert.deepStrictEqual(registry.getOrigins(), ['https://example.com', 'http://example.com', 'https://example.com:8443']);
+    });
+
+    it('should use the configured default for unknown origins', () => {
+        assert.strictEqual(createRegistry().isAllowed('https://other.com/private', 'MyBot'), true);
+        assert.strictEqual(createRegistry({ missing: 'disallow' }).isDisallowed('https://other.com/', 'MyBot'), true);
+        assert.strictEqual(createRegistry({ missing: 'disallow' }).isDisallowed('https://sub.example.com/', 'MyBot'), true);
+    });
+
+    it('should manage registered parsers', () => {
+        const registry = createRegistry();
+
+        assert.strictEqual(registry.has('https://example.com/any'), true);
+        assert.strictEqual(registry.delete('https://example.com/'), true);
+        assert.strictEqual(registry.delete('https://example.com/'), false);
+        assert.strictEqual(registry.has('https://example.com/any'), false);
+        registry.clear();
+        assert.deepStrictEqual(registry.getOrigins(), []);
+    });
+
+    it('should validate parameters', () => {
+        const registry = createRegistry();
+
+        assert.throws(() => robotstxt.registry({ missing: 'maybe' }), /"missing" option must be one of/);
+        assert.throws(() => registry.isAllowed('/private', 'MyBot'), /absolute URL/);
+        assert.throws(() => registry.isAllowed('https://example.com/'), /"userAgent" parameter is required/);
+        assert.throws(() => registry.set('https://example.com/'), /"parser" parameter is required/);
+    });
+});
+
+describe('Crawl scheduler', () => {
+    const at = (hours, minutes, seconds) => Date.UTC(2025, 0, 1, hours, minutes, seconds || 0);
+
+    const createScheduler = (content, time) => {
+        const clock = { time };
+
+        return { clock, scheduler: robotstxt.scheduler(robotstxt(content).getGroup('*'), { clock: () => clock.time }) };
+    };
+
+    it('should allow fetching without restrictions', () => {
+        const { scheduler } = createScheduler('User-agent: *\nDisallow: /private', at(12, 0));
+
+        scheduler.recordFetch().recordFetch();
+
+        assert.strictEqual(scheduler.canFetchNow(), true);
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(12, 0));
+    });
+
+    it('should honour Crawl-delay', () => {
+        const { clock, scheduler } = createScheduler('User-agent: *\nCrawl-delay: 10', at(12, 0));
+
+        assert.strictEqual(scheduler.canFetchNow(), true);
+        scheduler.recordFetch();
+        assert.strictEqual(scheduler.canFetchNow(), false);
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(12, 0, 10));
+        clock.time = at(12, 0, 10);
+        assert.strictEqual(scheduler.canFetchNow(), true);
+    });
+
+    it('should honour Request-rate', () => {
+        const { clock, scheduler } = createScheduler('User-agent: *\nRequest-rate: 3/1m 0000-2359', at(12, 0));
+
+        scheduler.recordFetch(at(12, 0, 0)).recordFetch(at(12, 0, 20));
+        assert.strictEqual(scheduler.canFetchNow(), true);
+        scheduler.recordFetch(at(12, 0, 30));
+        assert.strictEqual(scheduler.canFetchNow(), false);
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(12, 1, 0));
+        clock.time = at(12, 1, 0);
+        assert.strictEqual(scheduler.canFetchNow(), true);
+        scheduler.recordFetch();
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(12, 1, 20));
+    });
+
+    it('should apply Request-rate of the current time window', () => {
+        const content = `User-agent: *
+Request-rate: 1/10m 1300-1659
+Request-rate: 1/1m 1700-0459`;
+        const { clock, scheduler } = createScheduler(content, at(13, 0));
+
+        scheduler.recordFetch();
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(13, 10));
+        clock.time = at(16, 55);
+        scheduler.recordFetch();
+        // The 1/1m rate applies from 17:00
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(17, 0));
+        clock.time = at(23, 59, 30);
+        scheduler.recordFetch();
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), Date.UTC(2025, 0, 2, 0, 0, 30));
+    });
+
+    it('should honour Visit-time', () => {
+        const { clock, scheduler } = createScheduler('User-agent: *\nVisit-time: 0600-0845', at(12, 0));
+
+        assert.strictEqual(scheduler.canFetchNow(), false);
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), Date.UTC(2025, 0, 2, 6, 0));
+        clock.time = at(5, 0);
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(6, 0));
+        clock.time = at(8, 45, 59);
+        assert.strictEqual(scheduler.canFetchNow(), true);
+    });
+
+    it('should handle Visit-time crossing midnight', () => {
+        const { clock, scheduler } = createScheduler('User-agent: *\nVisit-time: 2300-0200', at(1, 30));
+
+        assert.strictEqual(scheduler.canFetchNow(), true);
+        clock.time = at(2, 1);
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(23, 0));
+        clock.time = at(23, 30);
+        assert.strictEqual(scheduler.canFetchNow(), true);
+    });
+
+    it('should combine Crawl-delay, Request-rate and Visit-time', () => {
+        const content = `User-agent: *
+Crawl-delay: 30
+Request-rate: 2/5m 0000-2359
+Visit-time: 0600-0845`;
+        const { clock, scheduler } = createScheduler(content, at(8, 44));
+
+        scheduler.recordFetch();
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), at(8, 44, 30));
+        clock.time = at(8, 44, 30);
+        scheduler.recordFetch();
+        // Request-rate allows the next fetch at 08:49, outside of Visit-time
+        assert.strictEqual(scheduler.nextAllowedFetchTime(), Date.UTC(2025, 0, 2, 6, 0));
+    });
+
+    it('should require a group', () => {
+        assert.throws(() => robotstxt.scheduler(), /"group" parameter is required/);
+    });
+});
+
+describe('Clean-param', () => {
+    const content = `User-agent: *
+Disallow: /private
+Clean-param: ref&utm_source /catalog/
+Clean-param: sid /forum/*.php
+Clean-param: s`;
+
+    it('should split Clean-param into parameters and path prefix', () => {
+        assert.deepStrictEqual(robotstxt(content).getParsedCleanParams(), [
+            { params: ['ref', 'utm_source'], path: '/catalog/' },
+            { params: ['sid'], path: '/forum/*.php' },
+            { params: ['s'], path: undefined }
+        ]);
+    });
+
+    it('should remove parameters matching the path prefix', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.cleanUrl('https://example.com/catalog/item?ref=1&id=2&utm_source=x#top'), 'https://example.com/catalog/item?id=2#top');
+        assert.strictEqual(r.cleanUrl('/catalog/item?ref=1&s=2'), '/catalog/item');
+        assert.strictEqual(r.cleanUrl('/other?ref=1&id=2'), '/other?ref=1&id=2');
+        assert.strictEqual(r.cleanUrl('/other'), '/other');
+    });
+
+    it('should handle wildcards in the path prefix', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.cleanUrl('/forum/showthread.php?sid=abc&t=3'), '/forum/showthread.php?t=3');
+        assert.strictEqual(r.cleanUrl('/forum/a/b.php?sid=abc'), '/forum/a/b.php');
+        assert.strictEqual(r.cleanUrl('/forum/index.html?sid=abc'), '/forum/index.html?sid=abc');
+    });
+
+    it('should match parameter names case-sensitively', () => {
+        assert.strictEqual(robotstxt(content).cleanUrl('/catalog/?REF=1&ref=2'), '/catalog/?REF=1');
+    });
+
+    it('should keep URLs unchanged when no parameter is removed', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.cleanUrl('/catalog/item?id=2&&a=%7e+b&'), '/catalog/item?id=2&&a=%7e+b&');
+        assert.strictEqual(r.cleanUrl('/catalog/item?id=2&&ref=1&a=%7e+b'), '/catalog/item?id=2&a=%7e+b');
+    });
+
+    it('should report invalid Clean-param values', () => {
+        const r = robotstxt(`Clean-param: a b c
+Clean-param: ref&&sid
+Clean-param: ref /catalog?page
+Clean-param: ${'p'.repeat(501)}`);
+
+        assert.deepStrictEqual(r.getCleanParams(), []);
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line]), [
+            ['invalid-clean-param', 1],
+            ['invalid-clean-param', 2],
+            ['invalid-clean-param', 3],
+            ['clean-param-too-long', 4]
+        ]);
+    });
+
+    it('should require a url', () => {
+        assert.throws(() => robotstxt(content).cleanUrl(), /"url" parameter is required/);
+    });
+});
+
+describe('Profiles', () => {
+    // All profiles resolve rules as RFC 9309 does, each one is checked against the same cases
+    const itShouldResolveRulesLikeRfc9309 = (options, userAgent) => {
+        it('should resolve precedence, ties and path normalization like RFC 9309', () => {
+            const r = robotstxt(`User-agent: *
+Disallow: /~foo
+Disallow: /\u30C4
+Disallow: /a%2Fb
+Allow: /*.html$
+Disallow: /*.html
+Disallow: /x*
+Allow: /xy
+Disallow: /pag*
+Allow: /page
+Disallow: /search?q=`, options);
+
+            [
+                ['/%7Efoo', false], // Unreserved characters are decoded
+                ['/%E3%83%84', false], // Non-ASCII characters are percent-encoded
+                ['/%e3%83%84', false],
+                ['/a/b', true], // Reserved characters are kept encoded
+                ['/a%2fb', false],
+                ['/f.html', true], // Longest match wins, whatever the order
+                ['/f.html?x', false],
+                ['/xyz', true], // Allow wins ties, "*" counts as one octet
+                ['/page', true],
+                ['/search?q=robots', false], // The query is matched
+                ['https://example.com/robots.txt', true] // /robots.txt is implicitly allowed
+            ].forEach(([url, allowed]) => assert.strictEqual(r.isAllowed(url, userAgent), allowed, url));
+        });
+    };
+
+    it('should validate the profile and let explicit options override its presets', () => {
+        assert.throws(() => robotstxt('', { profile: 'duckduckgo' }), /"profile" option must be one of: rfc9309, google, bing, yandex/);
+        assert.strictEqual(robotstxt('User-agent: *\nDisallow: /search?q=', { profile: 'google', pathMatching: 'legacy' }).isAllowed('https://example.com/search?q=1', 'Googlebot'), true);
+    });
+
+    describe('rfc9309', () => {
+        const options = { profile: 'rfc9309' };
+
+        itShouldResolveRulesLikeRfc9309(options, 'Bot');
+
+        it('should only apply Allow, Disallow and Sitemap', () => {
+            const r = robotstxt('User-agent: *\nCrawl-delay: 5\nNoindex: /drafts\nDisallow: /private\nSitemap: https://example.com/sitemap.xml\nHost: example.com', options);
+
+            assert.strictEqual(r.getGroup('*').getCrawlDelay(), undefined);
+            assert.strictEqual(r.isNoindex('/drafts/1', 'Bot'), false);
+            assert.strictEqual(r.getHost(), undefined);
+            assert.deepStrictEqual(r.getSitemaps(), ['https://example.com/sitemap.xml']);
+            assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line]), [
+                ['unsupported-directive', 2],
+                ['unsupported-directive', 3],
+                ['unsupported-directive', 6]
+            ]);
+        });
+
+        it('should match user agents by exact product token', () => {
+            const r = robotstxt('User-agent: ExampleBot\nDisallow: /\n\nUser-agent: *\nDisallow: /private', options);
+
+            assert.strictEqual(r.isAllowed('/page', 'ExampleBot'), false);
+            assert.strictEqual(r.isAllowed('/page', 'Mozilla/5.0 (compatible; ExampleBot/1.0)'), false);
+            assert.strictEqual(r.isAllowed('/page', 'ExampleBot-News'), true);
+        });
+
+        it('should pick the longest match and Allow on equal length', () => {
+            const r = robotstxt('User-agent: *\nAllow: /a*\nDisallow: /ab\nDisallow: /\nAllow: /robots', options);
+
+            assert.strictEqual(r.isAllowed('/abc', 'Bot'), true);
+            assert.strictEqual(r.isAllowed('/robots.txt', 'Bot'), true);
+            assert.strictEqual(r.isAllowed('/foo/bar/\u30C4', 'Bot'), false);
+        });
+    });
+
+    describe('google', () => {
+        const options = { profile: 'google' };
+
+        itShouldResolveRulesLikeRfc9309(options, 'Googlebot');
+
+        it('should ignore Crawl-delay, Noindex, Clean-param and Host', () => {
+            const r = robotstxt('User-agent: *\nCrawl-delay: 5\nNoindex: /drafts\nClean-param: ref\nHost: example.com', options);
+
+            assert.strictEqual(r.getGroup('*').getCrawlDelay(), undefined);
+            assert.strictEqual(r.isNoindex('/drafts/1', 'Googlebot'), false);
+            assert.strictEqual(r.cleanUrl('/page?ref=1'), '/page?ref=1');
+            assert.strictEqual(r.getHost(), undefined);
+        });
+
+        it('should not end user agent lists at unsupported directives', () => {
+            const content = 'User-agent: a\nCrawl-delay: 5\nUser-agent: b\nDisallow: /';
+
+            assert.strictEqual(robotstxt(content, options).isAllowed('/page', 'a'), false);
+            assert.strictEqual(robotstxt(content).isAllowed('/page', 'a'), true);
+        });
+
+        it('should fall back to shorter product tokens', () => {
+            const r = robotstxt('User-agent: Googlebot/2.1\nDisallow: /\n\nUser-agent: Googlebot-News\nAllow: /', options);
+
+            assert.strictEqual(r.isAllowed('/page', 'Googlebot-Image/1.0'), false);
+            assert.strictEqual(r.isAllowed('/page', 'Googlebot-News'), true);
+        });
+
+        it('should resolve conflicts as documented by Google', () => {
+            const check = (content, url) => robotstxt(`User-agent: *\n${content}`, options).isAllowed(url, 'Googlebot');
+
+            assert.strictEqual(check('Allow: /p\nDisallow: /', '/page'), true);
+            assert.strictEqual(check('Allow: /folder\nDisallow: /folder', '/folder/page'), true);
+            assert.strictEqual(check('Allow: /page\nDisallow: /*.htm', '/page.htm'), false);
+            assert.strictEqual(check('Allow: /page\nDisallow: /*.ph', '/page.php'), true);
+            assert.strictEqual(check('Allow: /$\nDisallow: /', '/'), true);
+            assert.strictEqual(check('Allow: /$\nDisallow: /', '/page.htm'), false);
+            assert.strictEqual(check('Disallow: /search?q=', '/search?q=robots'), false);
+        });
+    });
+
+    describe('bing', () => {
+        const options = { profile: 'bing' };
+
+        itShouldResolveRulesLikeRfc9309(options, 'bingbot');
+
+        it('should apply Crawl-delay but not Noindex', () => {
+            const r = robotstxt('User-agent: bingbot\nCrawl-delay: 10\nNoindex: /drafts', options);
+
+            assert.strictEqual(r.getGroup('bingbot').getCrawlDelay(), 10);
+            assert.strictEqual(r.isNoindex('/drafts/1', 'bingbot'), false);
+            assert.deepStrictEqual(r.getReports().map(report => report.code), ['unsupported-directive']);
+        });
+
+        it('should fall back from bingbot to the msnbot group', () => {
+            const content = 'User-agent: msnbot\nDisallow: /msn\n\nUser-agent: *\nDisallow: /';
+
+            assert.strictEqual(robotstxt(content, options).isAllowed('/page', 'Mozilla/5.0 (compatible; bingbot/2.0)'), true);
+            assert.strictEqual(robotstxt(content, options).isAllowed('/msn', 'bingbot'), false);
+            assert.strictEqual(robotstxt(`User-agent: bingbot\nAllow: /\n\n${content}`, options).isAllowed('/msn', 'bingbot'), true);
+        });
+
+        it('should pick the longest match and Allow on equal length', () => {
+            const r = robotstxt('User-agent: *\nDisallow: /folder\nAllow: /folder\nAllow: /a*\nDisallow: /ab', options);
+
+            assert.strictEqual(r.isAllowed('/folder/page', 'bingbot'), true);
+            assert.strictEqual(r.isAllowed('/abc', 'bingbot'), true);
+        });
+    });
+
+    describe('yandex', () => {
+        const options = { profile: 'yandex' };
+
+        itShouldResolveRulesLikeRfc9309(options, 'YandexBot');
+
+        it('should apply Crawl-delay, Clean-param and Host but not Noindex', () => {
+            const r = robotstxt('User-agent: Yandex\nCrawl-delay: 2\nNoindex: /drafts\nClean-param: ref /catalog/\nHost: https://www.example.com', options);
+
+            assert.strictEqual(r.getGroup('Yandex').getCrawlDelay(), 2);
+            assert.strictEqual(r.isNoindex('/drafts/1', 'YandexBot'), false);
+            assert.strictEqual(r.cleanUrl('/catalog/item?ref=1&id=2'), '/catalog/item?id=2');
+            assert.strictEqual(r.getCanonicalHost(), 'https://www.example.com');
+        });
+
+        it('should apply the Yandex group to all Yandex robots without own group', () => {
+            const r = robotstxt('User-agent: Yandex\nDisallow: /\n\nUser-agent: YandexBot\nAllow: /\n\nUser-agent: *\nAllow: /', options);
+
+            assert.strictEqual(r.isAllowed('/page', 'YandexImages'), false);
+            assert.strictEqual(r.isAllowed('/page', 'Mozilla/5.0 (compatible; YandexBot/3.0)'), true);
+            assert.strictEqual(r.isAllowed('/page', 'Googlebot'), true);
+        });
+
+        it('should resolve conflicts as documented by Yandex', () => {
+            const check = (content, url) => robotstxt(`User-agent: Yandex\n${content}`, options).isAllowed(url, 'YandexBot');
+
+            assert.strictEqual(check('Allow: /\nDisallow: /', '/page'), true);
+            assert.strictEqual(check('Allow: /catalog\nDisallow: /', '/catalog/page'), true);
+            assert.strictEqual(check('Allow: /catalog\nDisallow: /', '/page'), false);
+            assert.strictEqual(check('Disallow: /catalog\nAllow: /catalog/auto', '/catalog/auto/1'), true);
+            assert.strictEqual(check('Disallow: /catalog\nAllow: /catalog/auto', '/catalog/moto'), false);
+        });
+    });
+});
+
+describe('Host', () => {
+    it('should validate Host values', () => {
+        const r = robotstxt('Host: ftp://example.com\nHost: example.com:70000\nHost: exa_mple.com\nHost: example.com/path\nHost: https://www.example.com');
+
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line, report.message]), [
+            ['invalid-host', 1, 'Host scheme must be http or https: "ftp://example.com".'],
+            ['invalid-host', 2, 'Host port must be between 1 and 65535: "example.com:70000".'],
+            ['invalid-host', 3, 'Invalid Host name: "exa_mple.com" in "exa_mple.com".'],
+            ['invalid-host', 4, 'Invalid Host directive value: "example.com/path". Expected a host name with an optional scheme and port, e.g. "https://example.com:8080".']
+        ]);
+        assert.strictEqual(r.getHost(), 'https://www.example.com');
+        assert.throws(() => robotstxt.builder().host('example.com:0'), /Host port must be between 1 and 65535/);
+    });
+
+    it('should use the first valid Host and report the others', () => {
+        const r = robotstxt('Host: bad host\nHost: Example.com:8080\nHost: www.example.com');
+
+        assert.strictEqual(r.getHost(), 'Example.com:8080');
+        assert.strictEqual(r.getCanonicalHost(), 'example.com:8080');
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line]), [['invalid-host', 1], ['duplicate-host', 3]]);
+        assert.strictEqual(robotstxt('Host: https://\u041F\u0420\u0418\u041C\u0415\u0420.\u0440\u0444:443').getCanonicalHost(), 'https://xn--e1afmkfd.xn--p1ai');
+        assert.strictEqual(robotstxt('User-agent: *').getCanonicalHost(), undefined);
+    });
+
+    it('should rewrite mirror URLs to the main host', () => {
+        const r = robotstxt('Host: https://www.example.com');
+
+        assert.strictEqual(r.canonicalizeUrl('http://example.com:8080/page?a=1#top'), 'https://www.example.com/page?a=1#top');
+        assert.strictEqual(robotstxt('Host: example.com:81').canonicalizeUrl('https://mirror.example.org/'), 'https://example.com:81/');
+        assert.strictEqual(robotstxt('Host: example.com').canonicalizeUrl('http://www.example.com:8080/'), 'http://example.com/');
+        assert.strictEqual(r.canonicalizeUrl('/page'), '/page');
+        assert.strictEqual(r.canonicalizeUrl('mailto:user@example.com'), 'mailto:user@example.com');
+        assert.strictEqual(robotstxt('').canonicalizeUrl('http://example.com/'), 'http://example.com/');
+        assert.throws(() => r.canonicalizeUrl(), /"url" parameter is required/);
+    });
+});
+
+describe('Sitemaps', () => {
+    const content = `User-agent: *
+Disallow: /private
+
+Sitemap: https://example.com/sitemap.xml
+Sitemap: /sitemap_index.xml
+Sitemap: https://example.com/sitemap.xml
+Sitemap: https://cdn.example.net/news-sitemap.xml
+Sitemap: ftp://example.com/sitemap.xml
+Sitemap: https://exa mple.com/sitemap.xml`;
+
+    it('should resolve, validate and deduplicate sitemap entries', () => {
+        const r = robotstxt(content, { url: 'https://example.com/robots.txt' });
+
+        assert.strictEqual(r.getSitemaps().length, 6);
+        assert.deepStrictEqual(r.getSitemapEntries(), [
+            { url: 'https://example.com/sitemap.xml', type: 'sitemap', line: 4 },
+            { url: 'https://example.com/sitemap_index.xml', type: 'index', line: 5 },
+            { url: 'https://cdn.example.net/news-sitemap.xml', type: 'sitemap', line: 7 }
+        ]);
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.severity, report.line]), [
+            ['relative-sitemap', 'warning', 5],
+            ['duplicate-sitemap', 'info', 6],
+            ['cross-host-sitemap', 'warning', 7],
+            ['invalid-sitemap-url', 'error', 8],
+            ['invalid-sitemap-url', 'error', 9]
+        ]);
+    });
+
+    it('should ignore relative sitemaps without robots.txt URL', () => {
+        const r = robotstxt(content);
+
+        assert.deepStrictEqual(r.getSitemapEntries().map(entry => entry.url), [
+            'https://example.com/sitemap.xml',
+            'https://cdn.example.net/news-sitemap.xml'
+        ]);
+        assert(r.getReports().every(report => report.code !== 'cross-host-sitemap'));
+    });
+
+    it('should require an absolute url option', () => {
+        assert.throws(() => robotstxt(content, { url: '/robots.txt' }), /"url" option must be an absolute URL/);
+    });
+});
+
+describe('Sitemap walker', () => {
+    const documents = {
+        'https://example.com/sitemap_index.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemap-pages.xml</loc><lastmod>2025-01-01</lastmod></sitemap>
+  <sitemap><loc>/sitemap-missing.xml</loc></sitemap>
+  <sitemap><loc>https://example.com/sitemap_index.xml</loc></sitemap>
+</sitemapindex>`,
+        'https://example.com/sitemap-pages.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://example.com/?a=1&amp;b=2</loc>
+    <lastmod>2025-01-02</lastmod>
+    <changefreq>daily</changefreq>
+    <priority>0.8</priority>
+  </url>
+  <url><loc><![CDATA[https://example.com/a&amp;b]]></loc></url>
+</urlset>`,
+        'https://example.com/feed.xml': '<rss></rss>'
+    };
+
+    const createWalker = options => robotstxt.sitemapWalker(Object.assign({
+        fetch: url => Promise.resolve(documents[url]
+            ? { status: 200, text: () => Promise.resolve(documents[url]) }
+            : { status: 404, text: () => Promise.resolve('') })
+    }, options));
+
+    it('should walk sitemap index files and collect page entries', () => createWalker().walk('https://example.com/sitemap_index.xml').then(result => {
+        assert.deepStrictEqual(result.urls, [
+            { loc: 'https://example.com/?a=1&b=2', lastmod: '2025-01-02', changefreq: 'daily', priority: 0.8, sitemap: 'https://example.com/sitemap-pages.xml' },
+            { loc: 'https://example.com/a&amp;b', lastmod: undefined, changefreq: undefined, priority: undefined, sitemap: 'https://example.com/sitemap-pages.xml' }
+        ]);
+        assert.deepStrictEqual(result.sitemaps.map(sitemap => [sitemap.url, sitemap.type, sitemap.depth, sitemap.status]), [
+            ['https://example.com/sitemap_index.xml', 'index', 0, 200],
+            ['https://example.com/sitemap-pages.xml', 'urlset', 1, 200],
+            ['https://example.com/sitemap-missing.xml', undefined, 1, 404]
+        ]);
+        assert(/Unexpected HTTP status 404/.test(result.sitemaps[2].error.message));
+    }));
+
+    it('should walk the sitemap entries of a parser', () => {
+        const r = robotstxt('Sitemap: /sitemap-pages.xml\nSitemap: /feed.xml', { url: 'https://example.com/robots.txt' });
+
+        return createWalker().walk(r).then(result => {
+            assert.strictEqual(result.urls.length, 2);
+            assert(/Not a sitemap/.test(result.sitemaps[1].error.message));
+        });
+    });
+
+    it('should limit the depth and number of sitemaps', () => Promise.all([
+        createWalker({ maxDepth: 0 }).walk('https://example.com/sitemap_index.xml'),
+        createWalker({ maxSitemaps: 1 }).walk(['https://example.com/sitemap-pages.xml', 'https://example.com/feed.xml'])
+    ]).then(results => {
+        assert(/nested deeper than 0 levels/.test(results[0].sitemaps[0].error.message));
+        assert.strictEqual(results[0].sitemaps.length, 1);
+        assert.strictEqual(results[1].sitemaps.length, 1);
+    }));
+
+    it('should require a fetch function and an input', () => {
+        assert.throws(() => robotstxt.sitemapWalker({ fetch: null }), /"fetch" option is required/);
+        assert.throws(() => createWalker().walk(), /"input" parameter is required/);
+    });
+});
+
+describe('Noindex', () => {
+    const content = `User-agent: *
+Noindex: /drafts
+Allow: /drafts/public
+Disallow: /private
+Noindex: /private/reports`;
+
+    it('should not affect crawl decisions', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.isAllowed('/drafts/page', '*'), true);
+        assert.strictEqual(r.explain('/drafts/page', '*').rule, undefined);
+        assert.strictEqual(r.compile('*').isAllowed('/drafts/page'), true);
+        assert.strictEqual(r.isDisallowed('/private/reports/2025', '*'), true);
+        assert.strictEqual(r.compile('*').match('/private/reports/2025').type, 'disallow');
+    });
+
+    it('should evaluate Noindex rules by specificity', () => {
+        const r = robotstxt(content);
+
+        assert.strictEqual(r.isNoindex('/drafts/page', '*'), true);
+        assert.strictEqual(r.isNoindex('/drafts/public/page', '*'), false);
+        assert.strictEqual(r.isNoindex('/private/reports/2025', 'Googlebot'), true);
+        assert.strictEqual(r.isNoindex('/private/page', '*'), false);
+        assert.strictEqual(r.isNoindex('/page', '*'), false);
+        assert.strictEqual(robotstxt('User-agent: *\nNoindex: /a\nAllow: /a').isNoindex('/a', '*'), false);
+    });
+
+    it('should report Noindex directives', () => {
+        assert.deepStrictEqual(robotstxt(content).getReports().map(report => [report.code, report.severity, report.line]), [
+            ['noindex-directive', 'warning', 2],
+            ['noindex-directive', 'warning', 5]
+        ]);
+    });
+
+    it('should ignore Noindex directives completely', () => {
+        const r = robotstxt(content, { ignoreNoindex: true });
+
+        assert.strictEqual(r.isNoindex('/drafts/page', '*'), false);
+        assert.deepStrictEqual(r.getGroup('*').getRules().map(rule => rule.type), ['allow', 'disallow']);
+        assert.strictEqual(r.getReports().length, 2);
+        assert(r.getReports()[0].message.indexOf('it is ignored') !== -1);
+    });
+
+    it('should not count ignored Noindex directives towards the rule limits', () => {
+        const r = robotstxt(`User-agent: *\nNoindex: /${'a'.repeat(20)}\nNoindex: /b\nDisallow: /c\nAllow: /d`, { ignoreNoindex: true, maxPatternLength: 10, maxRules: 2 });
+
+        assert.deepStrictEqual(r.getReports().map(report => report.code), ['noindex-directive', 'noindex-directive']);
+        assert.deepStrictEqual(r.getGroup('*').getRules().map(rule => rule.path), ['/c', '/d']);
+    });
+
+    it('should require parameters', () => {
+        assert.throws(() => robotstxt(content).isNoindex(), /"url" parameter is required/);
+        assert.throws(() => robotstxt(content).isNoindex('/'), /"userAgent" parameter is required/);
+    });
+});
+
+describe('Diff', () => {
+    const before = robotstxt(`User-agent: *
+Disallow: /private
+Disallow: /tmp
+Allow: /private/public
+Crawl-delay: 5
+
+User-agent: OldBot
+Disallow: /
+
+Sitemap: https://example.com/sitemap.xml
+Host: example.com`);
+    const after = robotstxt(`User-agent: *
+Allow: /private/public
+Disallow: /private
+Disallow: /search
+Crawl-delay: 10
+
+User-agent: Googlebot
+Disallow: /ads
+
+Sitemap: https://example.com/sitemap-news.xml
+Host: www.example.com`);
+
+    it('should report group, rule, Crawl-delay, Sitemap and Host changes', () => {
+        const changes = robotstxt.diff(before, after);
+
+        assert.deepStrictEqual(changes.groups, { added: ['Googlebot'], removed: ['OldBot'] });
+        assert.deepStrictEqual(changes.rules, [
+            { userAgent: '*', added: [{ type: 'disallow', path: '/search', line: 4 }], removed: [{ type: 'disallow', path: '/tmp', line: 3 }], reordered: true },
+            { userAgent: 'OldBot', added: [], removed: [{ type: 'disallow', path: '/', line: 8 }], reordered: false },
+            { userAgent: 'Googlebot', added: [{ type: 'disallow', path: '/ads', line: 8 }], removed: [], reordered: false }
+        ]);
+        assert.deepStrictEqual(changes.crawlDelay, [{ userAgent: '*', before: 5, after: 10 }]);
+        assert.deepStrictEqual(changes.sitemaps, { added: ['https://example.com/sitemap-news.xml'], removed: ['https://example.com/sitemap.xml'] });
+        assert.deepStrictEqual(changes.host, { before: 'example.com', after: 'www.example.com' });
+        assert.deepStrictEqual(changes.urls, []);
+    });
+
+    it('should merge groups whose names only differ in case', () => {
+        const changes = robotstxt.diff(
+            robotstxt('User-agent: Googlebot\nDisallow: /a\n\nUser-agent: googlebot\nDisallow: /b\nCrawl-delay: 5'),
+            robotstxt('User-agent: googlebot\nDisallow: /b\n\nUser-agent: GOOGLEBOT\nDisallow: /c\nCrawl-delay: 5'),
+            { urls: ['/a', '/b', '/c'] }
+        );
+
+        assert.deepStrictEqual(changes.groups, { added: [], removed: [] });
+        assert.deepStrictEqual(changes.rules, [
+            { userAgent: 'googlebot', added: [{ type: 'disallow', path: '/c', line: 5 }], removed: [{ type: 'disallow', path: '/a', line: 2 }], reordered: false }
+        ]);
+        assert.deepStrictEqual(changes.crawlDelay, []);
+        assert.deepStrictEqual(changes.urls, [
+            { url: '/a', userAgent: 'googlebot', before: false, after: true },
+            { url: '/c', userAgent: 'googlebot', before: true, after: false }
+        ]);
+    });
+
+    it('should list URLs whose access flips per user agent', () => {
+        const changes = robotstxt.diff(before, after, { urls: ['/tmp/file', '/search?q=1', '/ads/1', '/private/x'] });
+
+        // User agents without group of their own fall back to "*"
+        assert.deepStrictEqual(changes.urls, [
+            { url: '/tmp/file', userAgent: '*', before: false, after: true },
+            { url: '/tmp/file', userAgent: 'OldBot', before: false, after: true },
+            { url: '/tmp/file', userAgent: 'Googlebot', before: false, after: true },
+            { url: '/search?q=1', userAgent: '*', before: true, after: false },
+            { url: '/ads/1', userAgent: 'OldBot', before: false, after: true },
+            { url: '/ads/1', userAgent: 'Googlebot', before: true, after: false },
+            { url: '/private/x', userAgent: 'Googlebot', before: false, after: true }
+        ]);
+    });
+
+    it('should check the given user agents only', () => {
+        const changes = robotstxt.diff(before, after, { urls: ['/ads/1', '/tmp/file'], userAgents: ['Googlebot'] });
+
+        assert.deepStrictEqual(changes.urls, [
+            { url: '/ads/1', userAgent: 'Googlebot', before: true, after: false },
+            { url: '/tmp/file', userAgent: 'Googlebot', before: false, after: true }
+        ]);
+    });
+
+    it('should report no changes for identical files', () => {
+        const changes = robotstxt.diff(before, robotstxt(before.toString()), { urls: ['/private/x', '/'] });
+
+        assert.deepStrictEqual(changes, {
+            groups: { added: [], removed: [] },
+            rules: [],
+            crawlDelay: [],
+            sitemaps: { added: [], removed: [] },
+            host: undefined,
+            urls: []
+        });
+    });
+
+    it('should require both parsers', () => {
+        assert.throws(() => robotstxt.diff(), /"oldParser" parameter is required/);
+        assert.throws(() => robotstxt.diff(before), /"newParser" parameter is required/);
+    });
+});
+
+describe('Command line interface', () => {
+    const files = {
+        'robots.txt': `User-agent: *
+Disallow: /private
+Allow: /private/public
+
+User-agent: Googlebot
+Disallow: /ads
+
+Sitemap: https://example.com/sitemap.xml
+Sitemap: /sitemap_index.xml`,
+        'broken.txt': 'User-agent: *\nCrawl-delay: soon\nFoo: bar',
+        'lint.json': '{ "rules": { "crawl-delay-ignored": "off", "unknown-directive": "info" } }',
+        'invalid.json': '{ "rules": '
+    };
+
+    const run = (argv, stdin) => {
+        const output = { stdout: '', stderr: '' };
+        const io = {
+            robotstxt,
+            stdin: Readable.from([stdin || '']),
+            stdout: { write: text => output.stdout += text },
+            stderr: { write: text => output.stderr += text },
+            readFile: path => files[path] ? Promise.resolve(files[path]) : Promise.reject(new Error('File not found.'))
+        };
+
+        return cli.run(argv, io).then(code => Object.assign(output, { code }));
+    };
+
+    it('should check URLs and print the winning rule', () => run(['check', 'robots.txt', '/private/public/a', '/ads/1', '--ua', 'Googlebot', '--ua=*']).then(output => {
+        assert.strictEqual(output.code, 1);
+        assert.strictEqual(output.stdout, [
+            'allow  /private/public/a  [Googlebot]  no matching rule',
+            'allow  /private/public/a  [*]  allow: /private/public (line 3)',
+            'deny   /ads/1  [Googlebot]  disallow: /ads (line 6)',
+            'allow  /ads/1  [*]  no matching rule',
+            ''
+        ].join('\n'));
+    }));
+
+    it('should exit with 0 if all URLs are allowed', () => run(['check', 'robots.txt', '/page', '--json']).then(output => {
+        assert.strictEqual(output.code, 0);
+        assert.deepStrictEqual(JSON.parse(output.stdout), [{ url: '/page', userAgent: '*', allowed: true, rule: null, line: null }]);
+    }));
+
+    it('should lint files and exit with 1 on errors or warnings', () => Promise.all([
+        run(['lint', 'broken.txt']),
+        run(['lint', 'robots.txt', '--json', '--url', 'https://example.com/robots.txt'])
+    ]).then(outputs => {
+        assert.strictEqual(outputs[0].code, 1);
+        assert.deepStrictEqual(outputs[0].stdout.split('\n').map(line => line.split('  ').slice(0, 2).join(' ')), [
+            'broken.txt:2:1 info',
+            'broken.txt:2:14 error',
+            'broken.txt:3:1 warning',
+            ''
+        ]);
+        assert.strictEqual(outputs[1].code, 1);
+        assert.deepStrictEqual(JSON.parse(outputs[1].stdout).map(report => report.code), ['relative-sitemap']);
+    }));
+
+    it('should apply the linter configuration', () => Promise.all([
+        run(['lint', 'broken.txt', '--config', 'lint.json', '--json']),
+        run(['lint', 'broken.txt', '--config', 'invalid.json'])
+    ]).then(outputs => {
+        assert.deepStrictEqual(JSON.parse(outputs[0].stdout).map(report => [report.code, report.severity]), [
+            ['invalid-crawl-delay', 'error'],
+            ['unknown-directive', 'info']
+        ]);
+        assert.strictEqual(outputs[1].code, 2);
+        assert(outputs[1].stderr.indexOf('invalid.json: ') === 0);
+    }));
+
+    it('should apply search engine profiles', () => Promise.all([
+        run(['lint', 'broken.txt', '--profile', 'google', '--json']),
+        run(['check', 'robots.txt', '/page', '--profile', 'altavista'])
+    ]).then(outputs => {
+        assert.deepStrictEqual(JSON.parse(outputs[0].stdout).map(report => [report.code, report.severity]), [
+            ['unsupported-directive', 'info'],
+            ['unknown-directive', 'warning']
+        ]);
+        assert.strictEqual(outputs[1].code, 2);
+        assert(outputs[1].stderr.indexOf('"profile" option must be one of') !== -1);
+    }));
+
+    it('should list sitemaps read from standard input', () => run(['sitemaps', '-', '--url', 'https://example.com/robots.txt'], files['robots.txt']).then(output => {
+        assert.strictEqual(output.code, 0);
+        assert.strictEqual(output.stdout, 'https://example.com/sitemap.xml\nhttps://example.com/sitemap_index.xml\n');
+    }));
+
+    it('should exit with 0 when linting a clean file', () => run(['lint', '-'], 'User-agent: *\nDisallow: /private').then(output => {
+        assert.strictEqual(output.code, 0);
+        assert.strictEqual(output.stdout, '');
+    }));
+
+    it('should exit with 2 on usage and read errors', () => Promise.all([
+        run([]),
+        run(['fetch', 'robots.txt']),
+        run(['check', 'robots.txt']),
+        run(['lint', 'robots.txt', '--verbose']),
+        run(['lint', 'missing.txt'])
+    ]).then(outputs => {
+        assert.deepStrictEqual(outputs.map(output => output.code), [2, 2, 2, 2, 2]);
+        assert(outputs[1].stderr.indexOf('Unknown command: "fetch".') === 0);
+        assert(outputs[2].stderr.indexOf('At least one URL is required.') === 0);
+        assert(outputs[3].stderr.indexOf('Unknown option: "--verbose".') === 0);
+        assert.strictEqual(outputs[4].stderr, 'missing.txt: File not found.\n');
+    }));
+
+    it('should print help', () => run(['--help']).then(output => {
+        assert.strictEqual(output.code, 0);
+        assert(output.stdout.indexOf('Usage: robotstxt <command>') === 0);
+    }));
+
+    it('should run as executable', () => {
+        const bin = path.join(__dirname, '..', 'bin', 'robotstxt.js');
+        const check = childProcess.spawnSync(process.execPath, [bin, 'check', '-', '/private', '/public'], { input: files['robots.txt'], encoding: 'utf8', timeout: 10000 });
+        const lint = childProcess.spawnSync(process.execPath, [bin, 'lint', '-'], { input: files['broken.txt'], encoding: 'utf8', timeout: 10000 });
+
+        assert.strictEqual(check.stderr, '');
+        assert.strictEqual(check.stdout, 'deny   /private  [*]  disallow: /private (line 2)\nallow  /public  [*]  no matching rule\n');
+        assert.strictEqual(check.status, 1);
+        assert.strictEqual(lint.stderr, '');
+        assert(lint.stdout.indexOf('<stdin>:2:') !== -1);
+        assert.strictEqual(lint.status, 1);
+    });
+});
+
+describe('Linter', () => {
+    const lint = (content, config, parserOptions) => robotstxt.linter(config).lint(content, parserOptions);
+    const codes = reports => reports.map(report => [report.code, report.line]);
+
+    it('should report rules shadowed by a more specific or preferred rule', () => {
+        const reports = lint(`User-agent: *
+Disallow: /a
+Disallow: /a*
+Allow: /b
+Disallow: /b
+Disallow: /c
+Disallow: /c
+Disallow: /d
+Allow: /d/e`);
+
+        assert.deepStrictEqual(codes(reports), [['shadowed-rule', 2], ['shadowed-rule', 5], ['shadowed-rule', 7]]);
+        assert.strictEqual(reports[0].message, 'Disallow: /a never applies, it is shadowed by Disallow: /a* on line 3.');
+    });
+
+    it('should only compare rules with the rules that can shadow them', () => {
+        const lines = ['User-agent: *'];
+
+        for (let index = 0; index < 9000; index++) lines.push(`Disallow: /dir${index % 100}/page-${index}.html`);
+        lines.push('Allow: /dir1/page-1.html', 'Disallow: /dir2/*', 'Allow: /dir3*/page');
+
+        const reports = lint(lines.join('\n'));
+
+        assert.deepStrictEqual(codes(reports), [['shadowed-rule', 3]]);
+        assert.strictEqual(reports[0].message, 'Disallow: /dir1/page-1.html never applies, it is shadowed by Allow: /dir1/page-1.html on line 9002.');
+    });
+
+    it('should report paths not starting with "/" or "*"', () => {
+        assert.deepStrictEqual(codes(lint('User-agent: *\nDisallow: private\nAllow: *.html\nDisallow:')), [['invalid-path-start', 2], ['empty-value', 4]]);
+    });
+
+    it('should report unreachable groups', () => {
+        const content = 'User-agent: Googlebot/2.1\nDisallow: /\n\nUser-agent: Mozilla/5.0 (compatible; Bingbot)\nDisallow: /';
+
+        assert.deepStrictEqual(codes(lint(content)), [['unreachable-group', 1], ['unreachable-group', 4]]);
+        assert.deepStrictEqual(codes(lint(content, {}, { userAgentMatching: 'google' })), []);
+    });
+
+    it('should report duplicate user agent groups', () => {
+        const content = 'User-agent: Bingbot\nUser-agent: bingbot\nDisallow: /a\n\nUser-agent: BINGBOT\nDisallow: /b';
+
+        assert.deepStrictEqual(codes(lint(content)), [['duplicate-group', 5]]);
+    });
+
+    it('should report Crawl-delay ignored by Google', () => {
+        const content = 'User-agent: Bingbot\nCrawl-delay: 5\n\nUser-agent: Googlebot\nCrawl-delay: 5\n\nUser-agent: *\nCrawl-delay: 5';
+
+        assert.deepStrictEqual(codes(lint(content)), [['crawl-delay-ignored', 5], ['crawl-delay-ignored', 8]]);
+    });
+
+    it('should report files over 500 KiB', () => {
+        const line = `Disallow: /${'a'.repeat(1000)}\n`;
+        const reports = lint(`User-agent: *\n${line.repeat(600)}`, { rules: { 'shadowed-rule': 'off' } });
+
+        assert.deepStrictEqual(codes(reports), [['file-too-large', 507]]);
+    });
+
+    it('should report a BOM and invalid UTF-8 bytes', () => {
+        const bytes = Buffer.concat([Buffer.from('\uFEFFUser-agent: *\nDisallow: /caf'), Buffer.from([0xE9]), Buffer.from('\n')]);
+        const reports = lint(bytes);
+
+        assert.deepStrictEqual(codes(reports), [['bom', 1], ['invalid-utf8', 2]]);
+        assert.strictEqual(reports[1].column, 15);
+    });
+
+    it('should report misspelled directives instead of unknown directives', () => {
+        const reports = lint('Useragent: *\nDissallow: /a\nAlow: /b\nFoo: bar');
+
+        assert.deepStrictEqual(reports.map(report => [report.code, report.line, report.message]), [
+            ['misspelled-directive', 1, 'Unknown directive "useragent", did you mean "User-agent"?'],
+            ['misspelled-directive', 2, 'Unknown directive "dissallow", did you mean "Disallow"?'],
+            ['misspelled-directive', 3, 'Unknown directive "alow", did you mean "Allow"?'],
+            ['unknown-directive', 4, 'Unknown directive: "foo".']
+        ]);
+    });
+
+    it('should configure rule and parser report severities', () => {
+        const content = 'User-agent: *\nCrawl-delay: 5\nFoo: bar';
+
+        assert.deepStrictEqual(lint(content, { rules: { 'crawl-delay-ignored': 'error', 'unknown-directive': 'off' } }).map(report => [report.code, report.severity]), [
+            ['crawl-delay-ignored', 'error']
+        ]);
+        assert.throws(() => robotstxt.linter({ rules: { bom: 'warn' } }), /"bom" rule severity must be one of: off, info, warning, error/);
+        assert.throws(() => robotstxt.linter({ rules: { 'invalid-host': undefined } }), /"invalid-host" rule severity must be one of/);
+        assert.throws(() => robotstxt.linter({ rules: 'error' }), /"rules" option must be an object/);
+        assert.throws(() => robotstxt.linter({ rules: { 'no-such-rule': 'error' } }).lint(content), /Definition for rule "no-such-rule" was not found/);
+    });
+
+    it('should use the default severities without configured rules', () => {
+        const content = 'User-agent: *\nCrawl-delay: 5';
+        const expected = lint(content);
+
+        assert.deepStrictEqual(lint(content, { rules: undefined }), expected);
+        assert.deepStrictEqual(lint(content, { rules: null }), expected);
+        assert.deepStrictEqual(expected.map(report => [report.code, report.severity]), [['crawl-delay-ignored', 'info']]);
+    });
+
+    it('should run custom rules', () => {
+        const linter = robotstxt.linter({ rules: { 'require-sitemap': 'error' } }).defineRule('require-sitemap', {
+            check(context) {
+                if (context.parser.getSitemaps().length === 0) context.report(context.lines[0], 'Sitemap directive is missing.', 1);
+            }
+        });
+
+        assert.deepStrictEqual(linter.lint('User-agent: *\nDisallow:').map(report => [report.code, report.severity, report.line]), [
+            ['require-sitemap', 'error', 1],
+            ['empty-value', 'info', 2]
+        ]);
+        assert.throws(() => linter.defineRule('broken', {}), /"rule" parameter must have a check function/);
+        assert.throws(() => linter.lint(), /"content" parameter is required/);
+    });
+});
+
+describe('Stream parser', () => {
+    const content = '\uFEFFUser-agent: *\r\nDisallow: /caf\u00E9\r\n# \uD83D\uDE00\rAllow: /a\nfoo\nSitemap: /sitemap.xml\n\nUser-agent: b\nCrawl-delay: 3\nHost: example.com';
+    const options = { url: 'https://example.com/robots.txt' };
+
+    it('should give the same parser as the whole content for any chunk size', () => {
+        const bytes = Buffer.from(content);
+
+        for (let size = 1; size <= 8; size++) {
+            const byteStream = robotstxt.stream({ parserOptions: options });
+            const textStream = robotstxt.stream({ parserOptions: options });
+
+            for (let index = 0; index < bytes.length; index += size) byteStream.write(bytes.subarray(index, index + size));
+            for (let index = 0; index < content.length; index += size) textStream.write(content.slice(index, index + size));
+
+            assert.deepStrictEqual(byteStream.end(), robotstxt(content, options));
+            assert.deepStrictEqual(textStream.end(), robotstxt(content, options));
+        }
+    });
+
+    it('should stop at the size limit and report the truncation', () => {
+        const stream = robotstxt.stream({ maxSize: 40 });
+        const r = stream.write('User-agent: *\nDisallow: /a\n').write('Disallow: /b\nDisallow: /c').end();
+
+        assert.strictEqual(stream.isTruncated(), true);
+        assert.strictEqual(r.isAllowed('/b', 'Bot'), false);
+        assert.strictEqual(r.isAllowed('/c', 'Bot'), true);
+        assert.deepStrictEqual(r.getReports().map(report => [report.code, report.line]), [['content-truncated', 4]]);
+        assert.strictEqual(robotstxt.stream({ maxSize: 10 }).end('User-agent: *').getGroup('*'), undefined);
+        assert.throws(() => stream.end(), /already ended/);
+    });
+
+    it('should read Node.js and WHATWG streams', () => {
+        const webStream = new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('User-agent: *\nDisallow: /web'));
+                controller.close();
+            }
+        });
+
+        return Promise.all([
+            robotstxt.stream().read(Readable.from([Buffer.from('User-agent: *\nDis'), 'allow: /node'])),
+            robotstxt.stream().read(webStream),
+            robotstxt.stream({ maxSize: 20 }).read(['User-agent: *\n', 'Disallow: /\n', 'Allow: /'])
+        ]).then(parsers => {
+            assert.strictEqual(parsers[0].isAllowed('/node', 'Bot'), false);
+            assert.strictEqual(parsers[1].isAllowed('/web', 'Bot'), false);
+            assert.strictEqual(parsers[2].isAllowed('/', 'Bot'), true);
+            assert.throws(() => robotstxt.stream().read({}), /must be a ReadableStream or an iterable/);
+        });
+    });
+});
+
+describe('Robots meta', () => {
+    it('should parse X-Robots-Tag headers with user agent prefixes', () => {
+        const meta = robotstxt.meta({
+            headers: {
+                'X-Robots-Tag': ['noarchive', 'googlebot: noindex, nofollow', 'unavailable_after: Friday, 25-Jun-2010 15:00:00 GMT'],
+                'Content-Type': 'text/html'
+            }
+        });
+
+        assert.deepStrictEqual(meta.getUserAgents(), ['*', 'googlebot']);
+        assert.strictEqual(meta.getDirectives().noarchive, true);
+        assert.strictEqual(meta.getDirectives().noindex, false);
+        assert.strictEqual(meta.getDirectives('Mozilla/5.0 (compatible; Googlebot/2.1)').noindex, true);
+        assert.strictEqual(meta.getDirectives('googlebot').unavailableAfter, Date.UTC(2010, 5, 25, 15));
+        assert.strictEqual(robotstxt.meta({ headers: { get: name => (name === 'x-robots-tag' ? 'none' : null) } }).getDirectives().nofollow, true);
+    });
+
+    it('should parse each X-Robots-Tag header on its own where the headers object keeps them apart', () => {
+        const lines = ['googlebot: noindex', 'nofollow'];
+        const joined = { get: name => (name === 'x-robots-tag' ? lines.join(', ') : null) };
+
+        [
+            { 'X-Robots-Tag': lines },
+            { getAll: name => (name === 'x-robots-tag' ? lines : []), get: joined.get },
+            { raw: () => ({ 'x-robots-tag': lines }), get: joined.get }
+        ].forEach(headers => {
+            const meta = robotstxt.meta({ headers });
+
+            assert.strictEqual(meta.getDirectives('bingbot').nofollow, true);
+            assert.strictEqual(meta.getDirectives('bingbot').noindex, false);
+            assert.strictEqual(meta.getDirectives('googlebot').noindex, true);
+        });
+
+        // Headers.get() joins repeated headers, leaving nofollow to the user agent before it
+        assert.strictEqual(robotstxt.meta({ headers: joined }).getDirectives('bingbot').nofollow, false);
+        assert.strictEqual(robotstxt.meta({ headers: joined }).getDirectives('googlebot').nofollow, true);
+    });
+
+    it('should parse robots meta tags', () => {
+        const meta = robotstxt.meta({
+            html: '<head><META name="robots" content="max-snippet:50, max-image-preview:large">' +
+                '<meta content=\'nosnippet, max-snippet: 20\' name=\'Googlebot\'/><meta name=viewport content="width=device-width"></head>'
+        });
+
+        assert.deepStrictEqual(meta.getUserAgents(), ['*', 'googlebot']);
+        assert.deepStrictEqual(meta.getDirectives('Googlebot'), {
+            noindex: false,
+            nofollow: false,
+            noarchive: false,
+            nosnippet: true,
+            noimageindex: false,
+            notranslate: false,
+            indexifembedded: false,
+            maxSnippet: 20,
+            maxImagePreview: 'large',
+            maxVideoPreview: undefined,
+            unavailableAfter: undefined
+        });
+        assert.strictEqual(meta.getDirectives('Bingbot').maxSnippet, 50);
+    });
+
+    it('should keep the most restrictive directives', () => {
+        const meta = robotstxt.meta({ headers: { 'x-robots-tag': 'max-snippet: -1, max-image-preview: standard, max-video-preview: 10, all' }, html: '<meta name="robots" content="max-snippet: 30, max-image-preview: none, max-video-preview: -1, foo">' });
+
+        assert.strictEqual(meta.getDirectives().maxSnippet, 30);
+        assert.strictEqual(meta.getDirectives().maxImagePreview, 'none');
+        assert.strictEqual(meta.getDirectives().maxVideoPreview, 10);
+    });
+
+    it('should evaluate crawl, index and follow permissions', () => {
+        const parser = robotstxt('User-agent: *\nDisallow: /private\nNoindex: /drafts');
+        const page = { headers: { 'X-Robots-Tag': 'unavailable_after: 2020-01-01' }, html: '<meta name="robots" content="nofollow">' };
+
+        assert.deepStrictEqual(parser.evaluate('/public', 'Bot'), { crawl: true, index: true, follow: true, rule: undefined, directives: robotstxt.meta().getDirectives() });
+
+        const expired = parser.evaluate('/public', 'Bot', Object.assign({ now: Date.UTC(2021, 0, 1) }, page));
+
+        assert.deepStrictEqual([expired.crawl, expired.index, expired.follow], [true, false, false]);
+        assert.strictEqual(parser.evaluate('/public', 'Bot', Object.assign({ now: Date.UTC(2019, 0, 1) }, page)).index, true);
+        assert.strictEqual(parser.evaluate('/drafts/1', 'Bot').index, false);
+
+        const disallowed = parser.evaluate('/private', 'Bot', { html: '<meta name="robots" content="noindex">' });
+
+        assert.deepStrictEqual([disallowed.crawl, disallowed.index, disallowed.follow, disallowed.rule.path], [false, true, false, '/private']);
+        assert.throws(() => parser.evaluate('/'), /"userAgent" parameter is required/);
+    });
 });